@@ -9,6 +9,23 @@ import productRoutes from './routes/products.js';
 import customerRoutes from './routes/customers.js';
 import saleRoutes from './routes/sales.js';
 import dashboardRoutes from './routes/dashboard.js';
+import returnRoutes from './routes/returns.js';
+import quotationRoutes from './routes/quotations.js';
+import recallRoutes from './routes/recalls.js';
+import supplierRoutes from './routes/suppliers.js';
+import purchaseOrderRoutes from './routes/purchaseOrders.js';
+import cycleCountRoutes from './routes/cycleCounts.js';
+import locationRoutes from './routes/locations.js';
+import stockTransferRoutes from './routes/stockTransfers.js';
+import priceListRoutes from './routes/priceLists.js';
+import promotionRoutes from './routes/promotions.js';
+import reportRoutes from './routes/reports.js';
+import parkedSaleRoutes from './routes/parkedSales.js';
+import importRoutes from './routes/imports.js';
+
+// Import jobs
+import paymentReminderJob from './jobs/paymentReminders.js';
+import interestAccrualJob from './jobs/interestAccrual.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -49,7 +66,11 @@ app.use(express.urlencoded({ extended: true }));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/agroflow')
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    interestAccrualJob.start();
+    paymentReminderJob.start();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -58,6 +79,20 @@ app.use('/api/products', authenticate, productRoutes);
 app.use('/api/customers', authenticate, customerRoutes);
 app.use('/api/sales', authenticate, saleRoutes);
 app.use('/api/dashboard', authenticate, dashboardRoutes);
+app.use('/api/returns', authenticate, returnRoutes);
+app.use('/api/recalls', authenticate, recallRoutes);
+app.use('/api/suppliers', authenticate, supplierRoutes);
+app.use('/api/purchase-orders', authenticate, purchaseOrderRoutes);
+app.use('/api/cycle-counts', authenticate, cycleCountRoutes);
+app.use('/api/locations', authenticate, locationRoutes);
+app.use('/api/stock-transfers', authenticate, stockTransferRoutes);
+app.use('/api/price-lists', authenticate, priceListRoutes);
+app.use('/api/promotions', authenticate, promotionRoutes);
+app.use('/api/reports', authenticate, reportRoutes);
+app.use('/api/parked-sales', authenticate, parkedSaleRoutes);
+app.use('/api/imports', authenticate, importRoutes);
+// Authenticated per route so shared quotation links stay public
+app.use('/api/quotations', quotationRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -0,0 +1,30 @@
+import { CronJob } from 'cron';
+import InterestService from '../services/InterestService.js';
+
+class InterestAccrualJob {
+  constructor() {
+    // Run daily at 1:00 AM, before the day's reminders go out
+    this.job = new CronJob('0 1 * * *', this.postInterest.bind(this));
+  }
+
+  start() {
+    this.job.start();
+    console.log('Interest accrual job scheduled');
+  }
+
+  stop() {
+    this.job.stop();
+    console.log('Interest accrual job stopped');
+  }
+
+  async postInterest() {
+    try {
+      const result = await InterestService.postInterest();
+      console.log(`Interest of ${result.amount} posted on ${result.sales} sales`);
+    } catch (error) {
+      console.error('Error posting interest:', error);
+    }
+  }
+}
+
+export default new InterestAccrualJob();
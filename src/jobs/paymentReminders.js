@@ -1,8 +1,8 @@
 import { CronJob } from 'cron';
 import { differenceInDays } from 'date-fns';
-import Sale from '../models/Sale';
-import Customer from '../models/Customer';
-import NotificationService from '../services/NotificationService';
+import Sale from '../models/Sale.js';
+import Customer from '../models/Customer.js';
+import NotificationService from '../services/NotificationService.js';
 
 // Schedule for reminder intervals (in days)
 const REMINDER_INTERVALS = {
@@ -49,62 +49,65 @@ class PaymentReminderJob {
     }
   }
 
-  async processUpcomingPayments() {
-    const pendingSales = await Sale.find({
+  // Credit sales still owing, reminded about one installment at a time
+  async findPendingCreditSales() {
+    return Sale.find({
       'creditDetails.dueDate': { $exists: true },
       status: 'pending',
-      paymentType: 'credit'
+      paymentType: { $in: ['credit', 'split'] }
     }).populate('customer');
+  }
+
+  async processUpcomingPayments() {
+    const pendingSales = await this.findPendingCreditSales();
 
     for (const sale of pendingSales) {
-      if (!sale.creditDetails?.dueDate) continue;
-
-      const daysUntilDue = differenceInDays(
-        new Date(sale.creditDetails.dueDate),
-        new Date()
-      );
-
-      // Check if we need to send a reminder based on intervals
-      if (
-        daysUntilDue === REMINDER_INTERVALS.FIRST ||
-        daysUntilDue === REMINDER_INTERVALS.SECOND ||
-        daysUntilDue === REMINDER_INTERVALS.THIRD
-      ) {
-        await NotificationService.sendPaymentReminder(
-          sale.customer,
-          sale,
-          daysUntilDue
+      for (const installment of sale.outstandingInstallments()) {
+        const daysUntilDue = differenceInDays(
+          new Date(installment.dueDate),
+          new Date()
         );
+
+        // Check if we need to send a reminder based on intervals
+        if (
+          daysUntilDue === REMINDER_INTERVALS.FIRST ||
+          daysUntilDue === REMINDER_INTERVALS.SECOND ||
+          daysUntilDue === REMINDER_INTERVALS.THIRD
+        ) {
+          await NotificationService.sendPaymentReminder(
+            sale.customer,
+            sale,
+            daysUntilDue,
+            installment
+          );
+        }
       }
     }
   }
 
   async processOverduePayments() {
-    const overdueSales = await Sale.find({
-      'creditDetails.dueDate': { $lt: new Date() },
-      status: 'pending',
-      paymentType: 'credit'
-    }).populate('customer');
+    const pendingSales = await this.findPendingCreditSales();
 
-    for (const sale of overdueSales) {
-      if (!sale.creditDetails?.dueDate) continue;
-
-      const daysOverdue = differenceInDays(
-        new Date(),
-        new Date(sale.creditDetails.dueDate)
-      );
-
-      // Check if we need to send an overdue notice based on intervals
-      if (
-        daysOverdue === OVERDUE_INTERVALS.FIRST ||
-        daysOverdue === OVERDUE_INTERVALS.SECOND ||
-        daysOverdue === OVERDUE_INTERVALS.THIRD
-      ) {
-        await NotificationService.sendOverdueNotification(
-          sale.customer,
-          sale,
-          daysOverdue
+    for (const sale of pendingSales) {
+      for (const installment of sale.outstandingInstallments()) {
+        const daysOverdue = differenceInDays(
+          new Date(),
+          new Date(installment.dueDate)
         );
+
+        // Check if we need to send an overdue notice based on intervals
+        if (
+          daysOverdue === OVERDUE_INTERVALS.FIRST ||
+          daysOverdue === OVERDUE_INTERVALS.SECOND ||
+          daysOverdue === OVERDUE_INTERVALS.THIRD
+        ) {
+          await NotificationService.sendOverdueNotification(
+            sale.customer,
+            sale,
+            daysOverdue,
+            installment
+          );
+        }
       }
     }
   }
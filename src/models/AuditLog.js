@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = ['price_override', 'sale_void_requested', 'sale_void_rejected', 'sale_voided', 'sale_amended'];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entityModel'
+  },
+  entityModel: {
+    type: String,
+    enum: ['Sale', 'Quotation']
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // What changed, e.g. list and charged price for an override
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for listing entries by action
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Add index for looking up entries of a document
+auditLogSchema.index({ entity: 1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -11,14 +11,15 @@ const paymentHistorySchema = new mongoose.Schema({
     required: true,
     default: Date.now
   },
+  // 'credit' entries record goods sold on credit rather than money received
   method: {
     type: String,
-    enum: ['cash', 'bank_transfer', 'check'],
+    enum: ['cash', 'bank_transfer', 'check', 'credit'],
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   saleId: {
@@ -54,6 +55,21 @@ const customerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  state: {
+    type: String,
+    trim: true
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/, 'Please enter a valid GSTIN']
+  },
+  // Prices charged to this customer; the default price list when not set
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
   creditLimit: {
     type: Number,
     required: true,
@@ -143,14 +159,25 @@ customerSchema.methods.updateCreditBalance = async function(amount, operation =
   return this;
 };
 
-// Pre-save hook to validate credit balance
+// Remember the balance as loaded, so saves can tell an increase from a repayment
+customerSchema.post('init', function() {
+  this.$locals.loadedCreditBalance = this.creditBalance;
+});
+
+// Pre-save hook to validate credit balance. Interest is charged past the limit,
+// so a balance already over it may still be paid down; only increases are rejected.
 customerSchema.pre('save', function(next) {
-  if (this.creditBalance > this.creditLimit) {
-    next(new Error('Credit balance cannot exceed credit limit'));
+  const previous = this.isNew ? 0 : this.$locals.loadedCreditBalance ?? 0;
+  if (this.creditBalance > this.creditLimit && this.creditBalance > previous) {
+    return next(new Error('Credit balance cannot exceed credit limit'));
   }
   next();
 });
 
+customerSchema.post('save', function() {
+  this.$locals.loadedCreditBalance = this.creditBalance;
+});
+
 const Customer = mongoose.model('Customer', customerSchema);
 
 export default Customer; 
\ No newline at end of file
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { ADJUSTMENT_REASONS } from './StockMovement.js';
+
+const cycleCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected'],
+    default: 'draft'
+  },
+  // Location whose shelves were counted
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    batchNumber: String,
+    // Stock on record when the count was taken
+    systemQuantity: {
+      type: Number,
+      required: true
+    },
+    countedQuantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    variance: {
+      type: Number,
+      required: true
+    },
+    unitValue: {
+      type: Number,
+      default: 0
+    },
+    varianceValue: {
+      type: Number,
+      default: 0
+    },
+    reason: {
+      type: String,
+      enum: ADJUSTMENT_REASONS
+    },
+    notes: String
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String
+}, {
+  timestamps: true
+});
+
+// Add index for status-based queries
+cycleCountSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual field for the net value of all variances
+cycleCountSchema.virtual('totalVarianceValue').get(function() {
+  return this.items.reduce((sum, item) => sum + (item.varianceValue || 0), 0);
+});
+
+const CycleCount = mongoose.model('CycleCount', cycleCountSchema);
+
+export default CycleCount;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import ImportRow from './ImportRow.js';
+
+export const IMPORT_ENTITIES = ['Product', 'Customer'];
+export const IMPORT_MODES = ['insert', 'upsert'];
+export const IMPORT_JOB_STATUSES = ['running', 'completed', 'failed'];
+
+// A file imported (or previewed with dryRun); what happened to each row is kept in ImportRow
+const importJobSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: IMPORT_ENTITIES,
+    required: true
+  },
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // insert only adds new records; upsert also updates those matched by key (e.g. SKU)
+  mode: {
+    type: String,
+    enum: IMPORT_MODES,
+    default: 'insert'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Field -> column header the field was read from
+  mapping: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Set to running when the job is created, before any row is written
+  status: {
+    type: String,
+    enum: IMPORT_JOB_STATUSES,
+    default: 'running'
+  },
+  // Why a failed job stopped; rows already imported stay imported
+  error: String,
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for listing imports of an entity
+importJobSchema.index({ entity: 1, createdAt: -1 });
+
+// Method to get the job with the result of each of its rows
+importJobSchema.methods.withRows = async function(filter = {}) {
+  const rows = await ImportRow.find({ ...filter, job: this._id }).select('-_id -job').sort({ row: 1 }).lean();
+  return { ...this.toJSON(), rows };
+};
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
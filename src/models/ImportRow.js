@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+export const IMPORT_ROW_STATUSES = ['created', 'updated', 'unchanged', 'duplicate', 'failed'];
+
+// The result of one row of an import job. Rows live apart from the job so a large
+// file never outgrows a single document, and are written as the import goes.
+const importRowSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // Row number in the file, counting the header as row 1
+  row: Number,
+  key: String,
+  status: {
+    type: String,
+    enum: IMPORT_ROW_STATUSES
+  },
+  // The product or customer created or updated, by the job's entity
+  record: mongoose.Schema.Types.ObjectId,
+  messages: [String],
+  // Field -> { from, to } for updated records
+  changes: mongoose.Schema.Types.Mixed,
+  // Existing records the row probably duplicates, with why they matched
+  matches: mongoose.Schema.Types.Mixed
+});
+
+// Add index for reading a job's rows in file order
+importRowSchema.index({ job: 1, row: 1 });
+
+const ImportRow = mongoose.model('ImportRow', importRowSchema);
+
+export default ImportRow;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { INTEREST_METHODS, INTEREST_PERIODS } from '../utils/interest.js';
+
+export const INTEREST_ENTRY_TYPES = ['charge', 'waiver'];
+
+// Interest posted to (or waived from) a customer's account against a credit sale
+const interestChargeSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: INTEREST_ENTRY_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Installment and period the charge covers
+  installment: Number,
+  principal: Number,
+  periodStart: Date,
+  periodEnd: Date,
+  rate: Number,
+  method: {
+    type: String,
+    enum: INTEREST_METHODS
+  },
+  period: {
+    type: String,
+    enum: INTEREST_PERIODS
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Set for waivers; charges are posted by the accrual job
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for customer statements
+interestChargeSchema.index({ customer: 1, createdAt: -1 });
+
+// Add index for a sale's interest history
+interestChargeSchema.index({ sale: 1, createdAt: -1 });
+
+const InterestCharge = mongoose.model('InterestCharge', interestChargeSchema);
+
+export default InterestCharge;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['shop', 'godown', 'warehouse'],
+    default: 'godown'
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  // Stock never assigned to a location is treated as held here
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Only one location can be the default
+locationSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+const Location = mongoose.model('Location', locationSchema);
+
+export default Location;
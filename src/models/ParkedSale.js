@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { MIN_QUANTITY } from '../utils/units.js';
+import { TENDER_METHODS } from './Sale.js';
+
+// Items are kept as entered at the counter; prices and stock are checked on finalizing
+const parkedItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: MIN_QUANTITY
+  },
+  unit: String,
+  price: Number,
+  overrideReason: String,
+  batchNumber: String
+}, { _id: false });
+
+// A cart put on hold at the counter. It has no effect on stock or credit.
+const parkedSaleSchema = new mongoose.Schema({
+  // How the counter recognises the cart, e.g. the farmer's name
+  label: {
+    type: String,
+    trim: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  items: {
+    type: [parkedItemSchema],
+    validate: [items => items.length > 0, 'Parked sale must have at least one item']
+  },
+  paymentType: {
+    type: String,
+    enum: ['cash', 'credit', 'online']
+  },
+  tenders: [{
+    _id: false,
+    method: {
+      type: String,
+      enum: TENDER_METHODS
+    },
+    amount: Number,
+    reference: String
+  }],
+  creditDetails: mongoose.Schema.Types.Mixed,
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['parked', 'finalized', 'expired', 'discarded'],
+    default: 'parked'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  resumedAt: Date,
+  resumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  finalizedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for listing a staff member's parked sales
+parkedSaleSchema.index({ createdBy: 1, status: 1, createdAt: -1 });
+
+// Add index for expiring stale parked sales
+parkedSaleSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check if the parked sale can still be resumed or finalized
+parkedSaleSchema.methods.isOpen = function() {
+  return this.status === 'parked' && new Date() <= this.expiresAt;
+};
+
+// Mark parked sales past their expiry as expired
+parkedSaleSchema.statics.expireStale = function() {
+  return this.updateMany(
+    { status: 'parked', expiresAt: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+const ParkedSale = mongoose.model('ParkedSale', parkedSaleSchema);
+
+export default ParkedSale;
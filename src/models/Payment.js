@@ -23,7 +23,7 @@ const paymentSchema = new mongoose.Schema({
   },
   method: {
     type: String,
-    enum: ['cash', 'bank_transfer', 'credit_card', 'check', 'razorpay'],
+    enum: ['cash', 'upi', 'card', 'bank_transfer', 'credit_card', 'check', 'razorpay'],
     required: true
   },
   reference: {
@@ -34,13 +34,16 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'voided'],
     default: 'completed'
   }
 }, {
   timestamps: true
 });
 
+// Add index for looking up the payments against a sale
+paymentSchema.index({ sale: 1 });
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
 export default Payment; 
\ No newline at end of file
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+export const PRICE_LIST_TYPES = ['retail', 'wholesale', 'dealer', 'cooperative'];
+
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Unit the prices are for; the product's base unit when not set
+  unit: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Quantity breaks, each applying from its minimum quantity upwards
+  tiers: [{
+    _id: false,
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }]
+}, { _id: false });
+
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: PRICE_LIST_TYPES,
+    required: true
+  },
+  description: String,
+  validFrom: Date,
+  validTo: Date,
+  // Used for customers without a list of their own
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  items: [priceListItemSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Only one price list can be the default
+priceListSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+priceListSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validTo && this.validTo <= this.validFrom) {
+    return next(new Error('Price list must end after it starts'));
+  }
+
+  const keys = this.items.map(item => `${item.product}:${item.unit || ''}`);
+  if (new Set(keys).size !== keys.length) {
+    return next(new Error('Each product and unit can appear only once in a price list'));
+  }
+  next();
+});
+
+// Method to check if the price list applies on a date
+priceListSchema.methods.isValidOn = function(date = new Date()) {
+  return this.active
+    && (!this.validFrom || this.validFrom <= date)
+    && (!this.validTo || this.validTo >= date);
+};
+
+// Method to get the price for a quantity, applying the best quantity break reached
+priceListItemSchema.methods.priceFor = function(quantity) {
+  return this.tiers
+    .filter(tier => tier.minQuantity <= quantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0]?.price ?? this.price;
+};
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+export default PriceList;
@@ -1,4 +1,77 @@
 import mongoose from 'mongoose';
+import { GST_RATES } from '../utils/gst.js';
+import { UNITS, roundQuantity } from '../utils/units.js';
+import { BARCODE_TYPES, isValidCode128, isValidEan13 } from '../utils/barcode.js';
+
+const batchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  manufactureDate: Date,
+  expiryDate: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recalled: {
+    type: Boolean,
+    default: false
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }
+});
+
+const locationStockSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// An alternate unit the product is sold in, e.g. a 50 kg bag of a product stocked in kg
+const unitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: UNITS,
+    required: true
+  },
+  // Base units in one of this unit
+  conversionFactor: {
+    type: Number,
+    required: true,
+    min: 0.001
+  },
+  // Price of one of this unit; defaults to the base price times the factor
+  price: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Stock not recorded against a location is held at the default location.
+// Without a location every entry counts, which keeps single-shop setups working.
+const isAtLocation = (entryLocation, location) => {
+  if (!location) return true;
+  if (!entryLocation) return Boolean(location.isDefault);
+  return entryLocation.equals(location._id);
+};
 
 const productSchema = new mongoose.Schema({
   sku: {
@@ -12,12 +85,36 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Printed on labels and scanned at the counter; the SKU is used when there is none
+  barcode: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  barcodeType: {
+    type: String,
+    enum: BARCODE_TYPES
+  },
   description: String,
+  // Price of one base unit
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  // Cost of one base unit, from the last purchase received
+  costPrice: {
+    type: Number,
+    min: 0
+  },
+  // Unit stock is kept in; all quantities on the product are in this unit
+  baseUnit: {
+    type: String,
+    enum: UNITS,
+    default: 'piece'
+  },
+  units: [unitSchema],
   quantity: {
     type: Number,
     required: true,
@@ -35,26 +132,324 @@ const productSchema = new mongoose.Schema({
     email: String,
     phone: String
   },
+  defaultSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
   category: {
     type: String,
     required: true
   },
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: GST_RATES,
+    default: 0
+  },
   status: {
     type: String,
     enum: ['active', 'discontinued', 'out_of_stock'],
     default: 'active'
   },
+  batches: [batchSchema],
+  stock: [locationStockSchema],
   images: [{
     url: String,
     alt: String
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  // Saves check the version, so two writers can't both sell the same stock
+  optimisticConcurrency: true
 });
 
 // Index for search functionality
 productSchema.index({ name: 'text', sku: 'text', description: 'text' });
 
+// Batch and location quantities are part of the total, never on top of it
+productSchema.pre('validate', function(next) {
+  const unitNames = this.units.map(unit => unit.name);
+  if (unitNames.includes(this.baseUnit) || new Set(unitNames).size !== unitNames.length) {
+    return next(new Error('Each unit of a product must be listed once'));
+  }
+
+  const batchTotal = this.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  if (batchTotal > this.quantity) {
+    return next(new Error('Batch quantities exceed product quantity'));
+  }
+
+  const locationTotal = this.stock.reduce((sum, entry) => sum + entry.quantity, 0);
+  if (locationTotal > this.quantity) {
+    return next(new Error('Location quantities exceed product quantity'));
+  }
+
+  // An empty barcode would clash with other products on the unique index
+  if (!this.barcode) {
+    this.barcode = undefined;
+    this.barcodeType = undefined;
+  } else {
+    if (!this.barcodeType) {
+      this.barcodeType = isValidEan13(this.barcode) ? 'ean13' : 'code128';
+    }
+    if (this.barcodeType === 'ean13' && !isValidEan13(this.barcode)) {
+      return next(new Error('Barcode is not a valid EAN-13'));
+    }
+    if (this.barcodeType === 'code128' && !isValidCode128(this.barcode)) {
+      return next(new Error('Code 128 barcodes take up to 48 printable ASCII characters'));
+    }
+  }
+  next();
+});
+
+// Method to get the code printed on the product's labels
+productSchema.methods.labelCode = function() {
+  return this.barcode
+    ? { value: this.barcode, type: this.barcodeType }
+    : { value: this.sku, type: 'code128' };
+};
+
+// Method to resolve a unit the product is sold in (the base unit when none is given)
+productSchema.methods.findUnit = function(unitName) {
+  if (!unitName || unitName === this.baseUnit) {
+    return { name: this.baseUnit, conversionFactor: 1, price: this.price };
+  }
+
+  const unit = this.units.find(u => u.name === unitName);
+  if (!unit) {
+    throw new Error(`${this.name} is not sold by ${unitName}`);
+  }
+
+  return {
+    name: unit.name,
+    conversionFactor: unit.conversionFactor,
+    price: unit.price ?? this.price * unit.conversionFactor
+  };
+};
+
+// Method to convert a quantity in one of the product's units to base units
+productSchema.methods.toBaseQuantity = function(quantity, unitName) {
+  return roundQuantity(quantity * this.findUnit(unitName).conversionFactor);
+};
+
+// Method to get the stock held at a location (all stock when none is given)
+productSchema.methods.locationQuantity = function(location) {
+  if (!location) return this.quantity;
+
+  const assigned = this.stock.reduce((sum, entry) => sum + entry.quantity, 0);
+  const entry = this.stock.find(e => e.location.equals(location._id));
+  return roundQuantity((entry?.quantity || 0) + (location.isDefault ? this.quantity - assigned : 0));
+};
+
+// Method to get the batches held at a location
+productSchema.methods.batchesAt = function(location) {
+  return this.batches.filter(batch => isAtLocation(batch.location, location));
+};
+
+// Method to find a batch at a location
+productSchema.methods.findBatch = function(batchNumber, location) {
+  return this.batches.find(
+    batch => batch.batchNumber === batchNumber && isAtLocation(batch.location, location)
+  );
+};
+
+// Method to get stock not assigned to any batch
+productSchema.methods.unbatchedQuantity = function(location) {
+  return roundQuantity(this.locationQuantity(location) - this.batchesAt(location)
+    .reduce((sum, batch) => sum + batch.quantity, 0));
+};
+
+// Method to check whether a batch may still be sold
+productSchema.methods.isBatchSellable = function(batch, asOf = new Date()) {
+  return batch.quantity > 0 && !batch.recalled && (!batch.expiryDate || batch.expiryDate > asOf);
+};
+
+// Method to get the quantity that can be sold (expired batches excluded)
+productSchema.methods.sellableQuantity = function(location) {
+  return this.unbatchedQuantity(location) + this.batchesAt(location)
+    .filter(batch => this.isBatchSellable(batch))
+    .reduce((sum, batch) => sum + batch.quantity, 0);
+};
+
+// Method to move a location's share of stock; the caller changes the total
+productSchema.methods.changeLocationStock = function(location, quantity) {
+  if (!location) return;
+
+  const entry = this.stock.find(e => e.location.equals(location._id));
+  if (quantity > 0) {
+    if (entry) entry.quantity = roundQuantity(entry.quantity + quantity);
+    else this.stock.push({ location: location._id, quantity });
+    return;
+  }
+
+  // The default location draws on unassigned stock once its own entry runs out
+  const taken = Math.min(entry?.quantity || 0, -quantity);
+  if (entry) entry.quantity = roundQuantity(entry.quantity - taken);
+  if (taken < -quantity && !location.isDefault) {
+    throw new Error(`Insufficient stock for product ${this.name} at ${location.name}`);
+  }
+};
+
+// Method to record stock held implicitly at the default location against it by name,
+// so it stays there when another location becomes the default. Returns whether anything changed.
+productSchema.methods.pinUnassignedStock = function(location) {
+  const assigned = this.stock.reduce((sum, entry) => sum + entry.quantity, 0);
+  const unassigned = roundQuantity(this.quantity - assigned);
+  if (unassigned > 0) {
+    this.changeLocationStock(location, unassigned);
+  }
+
+  const unlocated = this.batches.filter(batch => !batch.location);
+  unlocated.forEach(batch => {
+    batch.location = location._id;
+  });
+
+  return unassigned > 0 || unlocated.length > 0;
+};
+
+// Method to take stock out first-expiry-first-out, returning the batches used
+productSchema.methods.allocateStock = function(quantity, { batchNumber, location } = {}) {
+  const allocations = [];
+  let remaining = quantity;
+
+  if (batchNumber) {
+    const batch = this.findBatch(batchNumber, location);
+    if (batch?.recalled) {
+      throw new Error(`Batch ${batchNumber} of ${this.name} has been recalled`);
+    }
+    if (!batch || !this.isBatchSellable(batch) || batch.quantity < quantity) {
+      throw new Error(`Insufficient stock in batch ${batchNumber} for product ${this.name}`);
+    }
+    batch.quantity = roundQuantity(batch.quantity - quantity);
+    this.quantity = roundQuantity(this.quantity - quantity);
+    this.changeLocationStock(location, -quantity);
+    return [{ batchNumber: batch.batchNumber, quantity, expiryDate: batch.expiryDate }];
+  }
+
+  if (this.sellableQuantity(location) < quantity) {
+    throw new Error(location
+      ? `Insufficient stock for product ${this.name} at ${location.name}`
+      : `Insufficient stock for product ${this.name}`);
+  }
+
+  const sellableBatches = this.batchesAt(location)
+    .filter(batch => this.isBatchSellable(batch))
+    .sort((a, b) => (a.expiryDate || Infinity) - (b.expiryDate || Infinity));
+
+  for (const batch of sellableBatches) {
+    if (remaining <= 0) break;
+    const taken = Math.min(batch.quantity, remaining);
+    batch.quantity = roundQuantity(batch.quantity - taken);
+    remaining = roundQuantity(remaining - taken);
+    allocations.push({ batchNumber: batch.batchNumber, quantity: taken, expiryDate: batch.expiryDate });
+  }
+
+  // Whatever is left comes from stock that was never batched
+  this.quantity = roundQuantity(this.quantity - quantity);
+  this.changeLocationStock(location, -quantity);
+  return allocations;
+};
+
+// Method to put stock back, into the batches it came from where they still exist
+productSchema.methods.restoreStock = function(quantity, allocations = [], location) {
+  for (const allocation of allocations) {
+    const batch = this.findBatch(allocation.batchNumber, location);
+    const source = this.batches.find(b => b.batchNumber === allocation.batchNumber);
+    if (batch) {
+      batch.quantity = roundQuantity(batch.quantity + allocation.quantity);
+    } else if (source) {
+      // Stock returned to another location keeps its batch details
+      this.batches.push({
+        batchNumber: source.batchNumber,
+        quantity: allocation.quantity,
+        manufactureDate: source.manufactureDate,
+        expiryDate: source.expiryDate,
+        recalled: source.recalled,
+        location: location?._id
+      });
+    }
+  }
+  this.quantity = roundQuantity(this.quantity + quantity);
+  this.changeLocationStock(location, quantity);
+};
+
+// Method to receive stock into a batch
+productSchema.methods.receiveBatch = function({
+  batchNumber, quantity, manufactureDate, expiryDate, location
+}) {
+  const batch = this.findBatch(batchNumber, location);
+  if (batch) {
+    batch.quantity = roundQuantity(batch.quantity + quantity);
+  } else {
+    this.batches.push({
+      batchNumber,
+      quantity,
+      manufactureDate,
+      expiryDate,
+      location: location?._id,
+      // A recall follows the batch wherever it is stocked
+      recalled: this.batches.some(b => b.batchNumber === batchNumber && b.recalled)
+    });
+  }
+  this.quantity = roundQuantity(this.quantity + quantity);
+  this.changeLocationStock(location, quantity);
+};
+
+// Method to move stock between locations, keeping batch identity
+productSchema.methods.transferStock = function(quantity, { from, to, batchNumber }) {
+  const sourceBatches = this.batchesAt(from);
+  const allocations = this.allocateStock(quantity, { batchNumber, location: from });
+
+  for (const allocation of allocations) {
+    const source = sourceBatches.find(batch => batch.batchNumber === allocation.batchNumber);
+    this.receiveBatch({
+      batchNumber: allocation.batchNumber,
+      quantity: allocation.quantity,
+      manufactureDate: source?.manufactureDate,
+      expiryDate: allocation.expiryDate,
+      location: to
+    });
+  }
+
+  // Unbatched stock simply changes hands
+  const unbatched = roundQuantity(
+    quantity - allocations.reduce((sum, allocation) => sum + allocation.quantity, 0)
+  );
+  this.quantity = roundQuantity(this.quantity + unbatched);
+  this.changeLocationStock(to, unbatched);
+  return allocations;
+};
+
+// Aggregation stage replacing quantity with the stock held at a location
+productSchema.statics.locationQuantityStage = function(location) {
+  const atLocation = {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ['$stock', []] },
+            cond: { $eq: ['$$this.location', location._id] }
+          }
+        },
+        in: '$$this.quantity'
+      }
+    }
+  };
+
+  const unassigned = {
+    $subtract: ['$quantity', { $sum: { $ifNull: ['$stock.quantity', []] } }]
+  };
+
+  return {
+    $addFields: {
+      quantity: location.isDefault ? { $add: [atLocation, unassigned] } : atLocation
+    }
+  };
+};
+
 // Method to check if stock is low
 productSchema.methods.isLowStock = function() {
   return this.quantity <= this.stockThreshold;
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+export const PROMOTION_TYPES = ['percentage', 'flat', 'free_goods', 'bundle'];
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true
+  },
+  // Percent off for percentage offers, amount off for flat offers and per bundle
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Thresholds on the eligible lines (quantity in base units)
+  minQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  minAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Free goods: for every buyQuantity bought, freeQuantity of freeProduct is given
+  buyQuantity: {
+    type: Number,
+    min: 0
+  },
+  freeQuantity: {
+    type: Number,
+    min: 0
+  },
+  freeProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Unit the buy and free quantities are in; the base unit when not set
+  unit: String,
+  // Bundle: products that must be bought together, value off per complete set
+  bundleItems: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0.001
+    },
+    unit: String
+  }],
+  // Eligibility; an empty list places no restriction
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [String],
+  customers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  }],
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for finding running promotions
+promotionSchema.index({ active: 1, startDate: 1, endDate: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.endDate <= this.startDate) {
+    return next(new Error('Promotion must end after it starts'));
+  }
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    return next(new Error('Percentage must be between 0 and 100'));
+  }
+  if (['flat', 'bundle'].includes(this.type) && this.value <= 0) {
+    return next(new Error('Discount amount must be positive'));
+  }
+  if (this.type === 'free_goods' && !(this.buyQuantity > 0 && this.freeQuantity > 0)) {
+    return next(new Error('Free goods offers need buy and free quantities'));
+  }
+  if (this.type === 'bundle' && this.bundleItems.length < 2) {
+    return next(new Error('A bundle needs at least two products'));
+  }
+  next();
+});
+
+// Static method to get promotions running on a date
+promotionSchema.statics.findRunning = function(date = new Date()) {
+  return this.find({ active: true, startDate: { $lte: date }, endDate: { $gte: date } });
+};
+
+// Method to check if a customer may have the promotion
+promotionSchema.methods.appliesToCustomer = function(customer) {
+  return this.customers.length === 0 || this.customers.some(id => id.equals(customer._id));
+};
+
+// Method to check if a product counts towards the promotion
+promotionSchema.methods.appliesToProduct = function(product) {
+  return (this.products.length === 0 || this.products.some(id => id.equals(product._id)))
+    && (this.categories.length === 0 || this.categories.includes(product.category));
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
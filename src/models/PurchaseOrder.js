@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import { MIN_QUANTITY } from '../utils/units.js';
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: MIN_QUANTITY
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'closed', 'cancelled'],
+    default: 'draft'
+  },
+  expectedDate: Date,
+  receipts: [{
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    items: [{
+      _id: false,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: MIN_QUANTITY
+      },
+      unitCost: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      batchNumber: String,
+      manufactureDate: Date,
+      expiryDate: Date
+    }],
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    invoiceReference: String,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location'
+    },
+    notes: String,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  receivedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  sentAt: Date,
+  closedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for date-based queries
+purchaseOrderSchema.index({ createdAt: -1 });
+
+// Add index for supplier lookups
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+
+// Virtual field for the amount still owed on received goods
+purchaseOrderSchema.virtual('payableAmount').get(function() {
+  return this.receivedAmount - this.paidAmount;
+});
+
+// Method to check whether every line has been fully received
+purchaseOrderSchema.methods.isFullyReceived = function() {
+  return this.items.every(item => item.receivedQuantity >= item.quantity);
+};
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+export default PurchaseOrder;
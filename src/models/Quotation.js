@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import { MIN_QUANTITY } from '../utils/units.js';
+
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: MIN_QUANTITY
+  },
+  unit: String,
+  listPrice: Number,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  priceOverride: {
+    reason: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, { _id: false });
+
+const quotationRevisionSchema = new mongoose.Schema({
+  revision: {
+    type: Number,
+    required: true
+  },
+  items: [quotationItemSchema],
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  validUntil: Date,
+  notes: String,
+  revisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revisedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  items: {
+    type: [quotationItemSchema],
+    validate: [items => items.length > 0, 'Quotation must have at least one item']
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'expired', 'converted', 'cancelled'],
+    default: 'draft'
+  },
+  revision: {
+    type: Number,
+    default: 1
+  },
+  revisions: [quotationRevisionSchema],
+  notes: {
+    type: String,
+    trim: true
+  },
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  convertedSale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  convertedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for date-based queries
+quotationSchema.index({ createdAt: -1 });
+
+// Add index for customer lookups
+quotationSchema.index({ customer: 1, status: 1 });
+
+export const OPEN_STATUSES = ['draft', 'sent', 'accepted'];
+
+// Method to check if the quotation can still be revised or converted
+quotationSchema.methods.isOpen = function() {
+  return OPEN_STATUSES.includes(this.status) && new Date() <= this.validUntil;
+};
+
+// Mark open quotations past their validity date as expired
+quotationSchema.statics.expireStale = function() {
+  return this.updateMany(
+    { status: { $in: OPEN_STATUSES }, validUntil: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+const Quotation = mongoose.model('Quotation', quotationSchema);
+
+export default Quotation;
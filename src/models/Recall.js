@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const recallSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  manufacturerReference: {
+    type: String,
+    trim: true
+  },
+  instructions: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active'
+  },
+  notifications: [{
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true
+    },
+    // Channels the notice reached
+    channels: [{
+      type: String,
+      enum: ['sms', 'email']
+    }],
+    // What happened on each channel tried
+    deliveries: [{
+      _id: false,
+      channel: {
+        type: String,
+        enum: ['sms', 'email']
+      },
+      status: {
+        type: String,
+        enum: ['sent', 'failed']
+      },
+      error: String
+    }],
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped'],
+      required: true
+    },
+    error: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  closedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One active recall per product batch
+recallSchema.index(
+  { product: 1, batchNumber: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Method to get the channels a customer has already been sent the recall notice on
+recallSchema.methods.notifiedChannels = function(customerId) {
+  return [...new Set(this.notifications
+    .filter(notification => notification.customer.equals(customerId))
+    .flatMap(notification => notification.channels))];
+};
+
+const Recall = mongoose.model('Recall', recallSchema);
+
+export default Recall;
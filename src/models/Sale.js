@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import { MIN_QUANTITY, roundQuantity } from '../utils/units.js';
+import { roundCurrency } from '../utils/gst.js';
+import { INSTALLMENT_PLAN_TYPES, HARVEST_SEASONS } from '../utils/installments.js';
+import { INTEREST_METHODS, INTEREST_PERIODS } from '../utils/interest.js';
+
+// Ways a sale can be settled; credit goes on the customer's account
+export const TENDER_METHODS = ['cash', 'upi', 'card', 'bank_transfer', 'credit'];
 
 const saleSchema = new mongoose.Schema({
   customer: {
@@ -12,40 +19,267 @@ const saleSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Name and SKU as they were when sold
     name: {
       type: String,
       required: true
     },
+    sku: String,
+    // Quantity and price are in the unit sold; stock is moved in base units
     quantity: {
       type: Number,
       required: true,
-      min: 1
+      min: MIN_QUANTITY
+    },
+    unit: String,
+    conversionFactor: {
+      type: Number,
+      default: 1
     },
+    baseQuantity: Number,
     price: {
       type: Number,
       required: true,
       min: 0
-    }
+    },
+    // Price the server resolved, and where it came from
+    listPrice: Number,
+    priceSource: {
+      type: String,
+      enum: ['price_list', 'product', 'override', 'quotation']
+    },
+    priceOverride: {
+      reason: String,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    // Promotional discount allocated to the line
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Price times quantity less discount, tax included
+    lineTotal: Number,
+    // Set on goods given free under a promotion
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    batches: [{
+      _id: false,
+      batchNumber: String,
+      quantity: Number,
+      expiryDate: Date,
+      returnedQuantity: {
+        type: Number,
+        default: 0
+      }
+    }],
+    hsnCode: String,
+    gstRate: {
+      type: Number,
+      default: 0
+    },
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+  }],
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoiceDate: Date,
+  financialYear: String,
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  taxSummary: {
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 }
+  },
+  // Line amounts before promotions; totalAmount is what the customer pays
+  grossAmount: Number,
+  discounts: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    amount: Number
   }],
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // Difference between the exact amount and the rupee-rounded total
+  roundOff: {
+    type: Number,
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: true,
     min: 0
   },
+  returnedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  returnStatus: {
+    type: String,
+    enum: ['none', 'partial', 'full'],
+    default: 'none'
+  },
   paymentType: {
     type: String,
-    enum: ['cash', 'credit', 'online'],
+    enum: ['cash', 'credit', 'online', 'split'],
     required: true
   },
+  // How the total was settled, one entry per tender
+  tenders: [{
+    method: {
+      type: String,
+      enum: TENDER_METHODS,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reference: String,
+    transactionId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'completed'
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  }],
+  // Portion of the total put on the customer's credit account
+  creditAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Returns taken off the unpaid credit rather than refunded
+  creditReturned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   creditDetails: {
+    // Final due date; with installments, the due date of the last one
     dueDate: {
       type: Date
     },
+    plan: {
+      type: {
+        type: String,
+        enum: INSTALLMENT_PLAN_TYPES
+      },
+      season: {
+        type: String,
+        enum: Object.keys(HARVEST_SEASONS)
+      },
+      count: Number,
+      intervalDays: Number
+    },
+    installments: [{
+      number: {
+        type: Number,
+        required: true
+      },
+      dueDate: {
+        type: Date,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      paidAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'partially_paid', 'paid'],
+        default: 'pending'
+      },
+      paidAt: Date,
+      label: String,
+      interestCharged: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Interest has been charged on this installment up to this date
+      interestAccruedTo: Date
+    }],
+    // Annual percentage charged on overdue installments
     interestRate: {
       type: Number,
       default: 0,
       min: 0
     },
+    interestMethod: {
+      type: String,
+      enum: INTEREST_METHODS,
+      default: 'simple'
+    },
+    interestPeriod: {
+      type: String,
+      enum: INTEREST_PERIODS,
+      default: 'monthly'
+    },
+    // Days after a due date before interest starts
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    interestCharged: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    interestWaived: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    interestPaid: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     paidAmount: {
       type: Number,
       default: 0,
@@ -74,6 +308,41 @@ const saleSchema = new mongoose.Schema({
     enum: ['pending', 'completed', 'cancelled'],
     default: 'pending'
   },
+  // Voiding a completed sale is requested by staff and approved by an admin
+  voidDetails: {
+    status: {
+      type: String,
+      enum: ['requested', 'rejected', 'voided']
+    },
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNotes: String,
+    creditReversed: Number,
+    refundAmount: Number
+  },
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList'
+  },
+  // Location the goods were picked from
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Bumped on each amendment; earlier revisions are kept as SaleRevision documents
+  revision: {
+    type: Number,
+    default: 1
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -89,55 +358,219 @@ saleSchema.index({ 'customer.name': 'text', 'items.name': 'text' });
 // Add index for date-based queries
 saleSchema.index({ createdAt: -1 });
 
+// Add index for batch tracing
+saleSchema.index({ 'items.product': 1, 'items.batches.batchNumber': 1 });
+
 // Add index for status-based queries
 saleSchema.index({ status: 1 });
 
-// Virtual field for calculating remaining balance for credit sales
+// Add index for void requests awaiting approval
+saleSchema.index({ 'voidDetails.status': 1 });
+
+// Virtual field for the sale value after returns
+saleSchema.virtual('netAmount').get(function() {
+  return this.totalAmount - (this.returnedAmount || 0);
+});
+
+// Virtual field for the portion of the sale on credit (older credit sales carry no creditAmount)
+saleSchema.virtual('creditPortion').get(function() {
+  if (this.creditAmount) return this.creditAmount;
+  return this.paymentType === 'credit' ? this.totalAmount : 0;
+});
+
+// Virtual field for calculating remaining balance of the credit portion.
+// Returns on a fully credit sale come off the balance; on split sales only
+// the part taken off the unpaid credit (creditReturned) does.
 saleSchema.virtual('remainingBalance').get(function() {
-  if (this.paymentType !== 'credit') return 0;
-  return this.totalAmount - (this.creditDetails?.paidAmount || 0);
+  const paidAmount = this.creditDetails?.paidAmount || 0;
+  if (this.paymentType === 'credit') {
+    return Math.max(0, this.netAmount - paidAmount);
+  }
+  return Math.max(0, roundCurrency(this.creditPortion - (this.creditReturned || 0) - paidAmount));
+});
+
+// Virtual field for interest charged and not yet paid or waived
+saleSchema.virtual('interestBalance').get(function() {
+  const { interestCharged = 0, interestWaived = 0, interestPaid = 0 } = this.creditDetails || {};
+  return Math.max(0, roundCurrency(interestCharged - interestWaived - interestPaid));
 });
 
 // Virtual field for calculating due amount with interest
 saleSchema.virtual('dueAmount').get(function() {
-  if (this.paymentType !== 'credit') return 0;
-  const principal = this.remainingBalance;
-  const interestRate = this.creditDetails?.interestRate || 0;
-  return principal * (1 + interestRate / 100);
+  if (!this.creditPortion) return 0;
+  return roundCurrency(this.remainingBalance + this.interestBalance);
+});
+
+// Virtual field for the payments recorded against the sale
+saleSchema.virtual('payments', {
+  ref: 'Payment',
+  localField: '_id',
+  foreignField: 'sale',
+  options: { sort: { date: 1 } }
 });
 
+// Method to get what is still owed on each installment, earliest first.
+// Returns on a credit sale lower the balance and come off the last installments.
+// Sales without a schedule are treated as a single installment at their due date.
+saleSchema.methods.outstandingInstallments = function() {
+  let installments = [...(this.creditDetails?.installments || [])].sort((a, b) => a.dueDate - b.dueDate);
+  if (installments.length === 0 && this.creditDetails?.dueDate) {
+    installments = [{
+      number: 1,
+      dueDate: this.creditDetails.dueDate,
+      amount: this.creditPortion,
+      paidAmount: this.creditDetails.paidAmount || 0
+    }];
+  }
+
+  let excess = installments.reduce((sum, installment) => sum + installment.amount - installment.paidAmount, 0)
+    - this.remainingBalance;
+
+  return installments
+    .reverse()
+    .map(installment => {
+      let outstanding = installment.amount - installment.paidAmount;
+      const reduction = Math.min(Math.max(excess, 0), outstanding);
+      outstanding = roundCurrency(outstanding - reduction);
+      excess -= reduction;
+      return {
+        _id: installment._id,
+        number: installment.number,
+        label: installment.label,
+        dueDate: installment.dueDate,
+        amount: installment.amount,
+        paidAmount: installment.paidAmount,
+        outstanding
+      };
+    })
+    .reverse()
+    .filter(installment => installment.outstanding > 0);
+};
+
 // Method to check if payment is overdue
 saleSchema.methods.isOverdue = function() {
-  if (this.paymentType !== 'credit' || this.status === 'completed') return false;
-  return this.creditDetails?.dueDate && new Date() > this.creditDetails.dueDate;
+  if (!this.creditPortion || this.status === 'completed') return false;
+  const now = new Date();
+  return this.outstandingInstallments().some(installment => now > installment.dueDate);
 };
 
-// Method to process payment
-saleSchema.methods.processPayment = async function(amount) {
+// Method to process payment; interest is settled first, then installments in order of due date
+saleSchema.methods.processPayment = async function(amount, { session } = {}) {
   if (this.status === 'completed') {
     throw new Error('Sale is already completed');
   }
 
+  if (this.status === 'cancelled') {
+    throw new Error('Sale is void');
+  }
+
   if (amount <= 0) {
     throw new Error('Payment amount must be greater than 0');
   }
 
-  const remainingBalance = this.remainingBalance;
-  if (amount > remainingBalance) {
+  if (amount > this.dueAmount) {
     throw new Error('Payment amount exceeds remaining balance');
   }
 
-  this.creditDetails.paidAmount = (this.creditDetails.paidAmount || 0) + amount;
-  this.creditDetails.lastPaymentDate = new Date();
+  const paidAt = new Date();
+  const interestPaid = Math.min(amount, this.interestBalance);
+  this.creditDetails.interestPaid = roundCurrency((this.creditDetails.interestPaid || 0) + interestPaid);
+  this.creditDetails.lastPaymentDate = paidAt;
 
-  if (this.creditDetails.paidAmount >= this.totalAmount) {
+  let unallocated = roundCurrency(amount - interestPaid);
+  this.creditDetails.paidAmount = roundCurrency((this.creditDetails.paidAmount || 0) + unallocated);
+  const installments = [...(this.creditDetails.installments || [])].sort((a, b) => a.dueDate - b.dueDate);
+  for (const installment of installments) {
+    if (unallocated <= 0) break;
+    const allocated = Math.min(unallocated, installment.amount - installment.paidAmount);
+    if (allocated <= 0) continue;
+
+    installment.paidAmount = roundCurrency(installment.paidAmount + allocated);
+    installment.status = installment.paidAmount >= installment.amount ? 'paid' : 'partially_paid';
+    if (installment.status === 'paid') installment.paidAt = paidAt;
+    unallocated = roundCurrency(unallocated - allocated);
+  }
+
+  if (this.remainingBalance <= 0 && this.interestBalance <= 0) {
     this.status = 'completed';
   }
 
-  await this.save();
+  await this.save({ session });
   return this;
 };
 
+// Method to get how the total was arrived at, line by line
+saleSchema.methods.breakdown = function() {
+  return {
+    lines: this.items.map(item => ({
+      product: item.product,
+      name: item.name,
+      quantity: item.quantity,
+      unit: item.unit,
+      price: item.price,
+      listPrice: item.listPrice,
+      amount: roundCurrency(item.price * item.quantity),
+      discount: item.discount || 0,
+      taxableValue: item.taxableValue,
+      gstRate: item.gstRate,
+      cgst: item.cgst,
+      sgst: item.sgst,
+      igst: item.igst,
+      lineTotal: item.lineTotal
+    })),
+    grossAmount: this.grossAmount,
+    discounts: this.discounts,
+    discountAmount: this.discountAmount,
+    taxSummary: this.taxSummary,
+    roundOff: this.roundOff,
+    totalAmount: this.totalAmount
+  };
+};
+
+// Method to get the quantity of a line item that can still be returned
+saleSchema.methods.returnableQuantity = function(itemId) {
+  const item = this.items.id(itemId);
+  if (!item) return 0;
+  return roundQuantity(item.quantity - (item.returnedQuantity || 0));
+};
+
+// Method to get what of a line the customer still holds, in base units, and the batches it came from
+saleSchema.methods.heldStock = function(itemId) {
+  const item = this.items.id(itemId);
+  const batches = (item.batches || [])
+    .map(batch => ({
+      batchNumber: batch.batchNumber,
+      quantity: roundQuantity(batch.quantity - (batch.returnedQuantity || 0))
+    }))
+    .filter(batch => batch.quantity > 0);
+
+  return {
+    quantity: roundQuantity((item.quantity - (item.returnedQuantity || 0)) * (item.conversionFactor || 1)),
+    batches
+  };
+};
+
+// Method to record returned quantity on a line, returning the batches it goes back to.
+// Batches hold base units, so the quantity returned in the unit sold is converted first.
+saleSchema.methods.markReturned = function(itemId, quantity) {
+  const item = this.items.id(itemId);
+  const batches = [];
+  let remaining = roundQuantity(quantity * (item.conversionFactor || 1));
+
+  for (const batch of item.batches || []) {
+    const open = batch.quantity - (batch.returnedQuantity || 0);
+    const returned = Math.min(open, remaining);
+    if (returned <= 0) continue;
+
+    batch.returnedQuantity = roundQuantity((batch.returnedQuantity || 0) + returned);
+    batches.push({ batchNumber: batch.batchNumber, quantity: returned });
+    remaining = roundQuantity(remaining - returned);
+  }
+
+  item.returnedQuantity = roundQuantity((item.returnedQuantity || 0) + quantity);
+  return batches;
+};
+
 const Sale = mongoose.model('Sale', saleSchema);
 
 export default Sale; 
\ No newline at end of file
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { MIN_QUANTITY } from '../utils/units.js';
+
+export const RETURN_REASONS = [
+  'damaged',
+  'expired',
+  'wrong_item',
+  'quality_issue',
+  'excess_quantity',
+  'customer_request',
+  'other'
+];
+
+export const REFUND_METHODS = ['credit_adjustment', 'cash', 'razorpay'];
+
+const saleReturnSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  items: [{
+    saleItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    // In the unit the item was sold in
+    quantity: {
+      type: Number,
+      required: true,
+      min: MIN_QUANTITY
+    },
+    unit: String,
+    baseQuantity: Number,
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reason: {
+      type: String,
+      enum: RETURN_REASONS,
+      required: true
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refund: {
+    method: {
+      type: String,
+      enum: REFUND_METHODS,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reference: String,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'completed'
+    },
+    // Part of the amount taken off the customer's unpaid credit; the rest is paid back by method
+    creditAdjusted: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for looking up returns of a sale
+saleReturnSchema.index({ sale: 1 });
+
+// Add index for date-based queries
+saleReturnSchema.index({ createdAt: -1 });
+
+const SaleReturn = mongoose.model('SaleReturn', saleReturnSchema);
+
+export default SaleReturn;
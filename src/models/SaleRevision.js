@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A sale as it stood before an amendment, with who amended it and why
+const saleRevisionSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  // Revision number of the snapshot; the sale itself carries the next one
+  revision: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  // What the amendment changed, e.g. totals and credit before and after
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for a sale's revision history
+saleRevisionSchema.index({ sale: 1, revision: 1 }, { unique: true });
+
+const SaleRevision = mongoose.model('SaleRevision', saleRevisionSchema);
+
+export default SaleRevision;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const MOVEMENT_TYPES = ['sale', 'return', 'purchase', 'adjustment', 'transfer', 'void', 'amendment'];
+
+export const ADJUSTMENT_REASONS = [
+  'shrinkage',
+  'spillage',
+  'damaged',
+  'expired',
+  'theft',
+  'counting_error',
+  'other'
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Positive for stock coming in, negative for stock going out
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  locationBalanceAfter: Number,
+  // Value of one base unit when the movement was recorded: the cost price, or the
+  // selling price for products never purchased
+  unitValue: Number,
+  batches: [{
+    _id: false,
+    batchNumber: String,
+    quantity: Number
+  }],
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceModel'
+  },
+  referenceModel: {
+    type: String,
+    enum: ['Sale', 'SaleReturn', 'Product', 'PurchaseOrder', 'CycleCount', 'StockTransfer']
+  },
+  reason: {
+    type: String,
+    enum: ADJUSTMENT_REASONS
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for per-product ledger queries
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+// Add index for per-location ledger queries
+stockMovementSchema.index({ location: 1, product: 1, createdAt: -1 });
+
+// Add index for looking up movements of a document
+stockMovementSchema.index({ reference: 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { MIN_QUANTITY } from '../utils/units.js';
+
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: MIN_QUANTITY
+    },
+    batchNumber: String,
+    // Batches actually moved, filled in when the transfer completes
+    batches: [{
+      _id: false,
+      batchNumber: String,
+      quantity: Number,
+      expiryDate: Date
+    }]
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for listing transfers of a location
+stockTransferSchema.index({ from: 1, createdAt: -1 });
+stockTransferSchema.index({ to: 1, createdAt: -1 });
+
+const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
+
+export default StockTransfer;
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+const supplierPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'bank_transfer', 'check', 'upi'],
+    required: true
+  },
+  reference: String,
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  notes: String
+});
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/, 'Please enter a valid GSTIN']
+  },
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+    default: 30
+  },
+  payableBalance: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  paymentHistory: [supplierPaymentSchema],
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for search performance
+supplierSchema.index({ name: 'text', code: 'text' });
+
+// Method to record a payment made to the supplier
+supplierSchema.methods.recordPayment = function({ amount, method, reference, purchaseOrder, notes }) {
+  if (amount <= 0) {
+    throw new Error('Payment amount must be greater than 0');
+  }
+
+  if (amount > this.payableBalance) {
+    throw new Error('Payment amount exceeds payable balance');
+  }
+
+  this.payableBalance -= amount;
+  this.paymentHistory.push({
+    amount,
+    method,
+    reference,
+    purchaseOrder,
+    notes,
+    date: new Date()
+  });
+  return this;
+};
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+export default Supplier;
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Actions staff may be granted individually; admins can do all of them
+export const PERMISSIONS = ['override_price'];
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -23,6 +26,10 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'staff'],
     default: 'staff'
   },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
   active: {
     type: Boolean,
     default: true
@@ -38,6 +45,11 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Method to check whether the user may perform a guarded action
+userSchema.methods.hasPermission = function(permission) {
+  return this.role === 'admin' || this.permissions.includes(permission);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -1,7 +1,7 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import User from '../models/User.js';
+import User, { PERMISSIONS } from '../models/User.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -9,7 +9,7 @@ const router = express.Router();
 // Register new user (admin only)
 router.post('/register', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, permissions } = req.body;
 
     if (await User.findOne({ email })) {
       return res.status(400).json({ message: 'Email already registered' });
@@ -19,7 +19,8 @@ router.post('/register', authenticate, authorize('admin'), async (req, res) => {
       name,
       email,
       password,
-      role: role || 'staff'
+      role: role || 'staff',
+      permissions
     });
 
     res.status(201).json({
@@ -28,7 +29,8 @@ router.post('/register', authenticate, authorize('admin'), async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: user.permissions
       }
     });
   } catch (error) {
@@ -113,4 +115,36 @@ router.put('/me', authenticate, async (req, res) => {
   }
 });
 
+// Grant or revoke a user's permissions (admin only)
+router.put('/users/:id/permissions', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions) || permissions.some(p => !PERMISSIONS.includes(p))) {
+      throw new Error(`Permissions must be a list of: ${PERMISSIONS.join(', ')}`);
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.permissions = permissions;
+    await user.save();
+
+    res.json({
+      message: 'Permissions updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 export default router; 
\ No newline at end of file
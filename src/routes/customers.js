@@ -4,25 +4,37 @@ import { authenticate, authorize } from '../middleware/auth.js';
 import Sale from '../models/Sale.js';
 import mongoose from 'mongoose';
 import NotificationService from '../services/NotificationService.js';
+import ExportService, { CUSTOMER_EXPORT_COLUMNS } from '../services/ExportService.js';
+import ImportService from '../services/ImportService.js';
+import multer from 'multer';
 
 const router = express.Router();
+const upload = multer();
+
+// Filters shared by the customer list and its export
+const listQuery = ({ search, status }) => {
+  const query = {};
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { code: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } }
+    ];
+  }
+  if (status) {
+    query.status = status;
+  }
+  return query;
+};
 
 // Get all customers with pagination and search
 router.get('/', authenticate, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || '';
     const skip = (page - 1) * limit;
 
-    const query = {};
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { code: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const query = listQuery(req.query);
 
     const [customers, total] = await Promise.all([
       Customer.find(query)
@@ -46,10 +58,25 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// Export customers matching the list filters as CSV, XLSX or JSON
+router.get('/export', authenticate, async (req, res) => {
+  try {
+    await ExportService.stream(res, Customer.find(listQuery(req.query)).sort({ name: 1, _id: 1 }).select('-paymentHistory').lean(), {
+      columns: CUSTOMER_EXPORT_COLUMNS,
+      format: req.query.format,
+      name: 'customers'
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Create new customer
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { name, code, email, phone, address, creditLimit, notes } = req.body;
+    const {
+      name, code, email, phone, address, state, gstin, priceList, creditLimit, notes
+    } = req.body;
 
     // Check if customer code already exists
     const existingCustomer = await Customer.findOne({ code });
@@ -63,6 +90,9 @@ router.post('/', authenticate, async (req, res) => {
       email,
       phone,
       address,
+      state,
+      gstin,
+      priceList,
       creditLimit,
       notes,
       creditBalance: 0,
@@ -76,6 +106,27 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
+// Import customers from a CSV or XLSX `file`. `mapping` is a JSON object of field -> column
+// header; `dryRun=true` previews and `allowDuplicates=true` imports probable duplicates too.
+router.post('/import', authenticate, authorize('admin'), upload.single('file'), async (req, res) => {
+  try {
+    const job = await ImportService.importCustomers(req.file, {
+      mapping: req.body.mapping,
+      dryRun: req.body.dryRun === 'true' || req.body.dryRun === true,
+      allowDuplicates: req.body.allowDuplicates === 'true' || req.body.allowDuplicates === true
+    }, req.user);
+
+    // A job that stopped partway still reports the rows it got through
+    if (job.status === 'failed') {
+      return res.status(500).json({ message: job.error, job: await job.withRows() });
+    }
+
+    res.status(job.dryRun ? 200 : 201).json(await job.withRows());
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Get customer by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -92,15 +143,18 @@ router.get('/:id', authenticate, async (req, res) => {
 // Update customer
 router.put('/:id', authenticate, async (req, res) => {
   try {
-    const { name, code, email, phone, address, creditLimit, notes } = req.body;
+    const {
+      name, code, email, phone, address, state, gstin, priceList, creditLimit, notes
+    } = req.body;
     const customer = await Customer.findById(req.params.id);
 
     if (!customer) {
       return res.status(404).json({ message: 'Customer not found' });
     }
 
-    // Check if new credit limit is less than current balance
-    if (creditLimit < customer.creditBalance) {
+    // Check if new credit limit is less than current balance. A balance already over
+    // the limit (from interest) doesn't stop other edits while the limit is left as is.
+    if (creditLimit < customer.creditBalance && creditLimit < customer.creditLimit) {
       return res.status(400).json({
         message: 'New credit limit cannot be less than current credit balance'
       });
@@ -122,6 +176,17 @@ router.put('/:id', authenticate, async (req, res) => {
     customer.address = address;
     customer.creditLimit = creditLimit;
     customer.notes = notes;
+    // Left unchanged unless sent, so older clients don't clear the assignment
+    if (priceList !== undefined) {
+      customer.priceList = priceList || null;
+    }
+    // Likewise the place of supply and GSTIN, which decide between IGST and CGST/SGST
+    if (state !== undefined) {
+      customer.state = state;
+    }
+    if (gstin !== undefined) {
+      customer.gstin = gstin;
+    }
 
     await customer.save();
     res.json(customer);
@@ -253,18 +318,22 @@ router.get('/:id/credit-summary', authenticate, async (req, res) => {
 
     const pendingSales = await Sale.find({
       customer: req.params.id,
-      paymentType: 'credit',
+      paymentType: { $in: ['credit', 'split'] },
       status: 'pending'
-    }).select('totalAmount createdAt creditDetails');
+    }).select('invoiceNumber totalAmount returnedAmount creditAmount paymentType createdAt creditDetails');
 
     res.json({
       creditLimit: customer.creditLimit,
       creditBalance: customer.creditBalance,
       availableCredit: customer.creditLimit - customer.creditBalance,
       pendingSales: pendingSales.map(sale => ({
+        _id: sale._id,
+        invoiceNumber: sale.invoiceNumber,
         amount: sale.totalAmount,
+        remainingBalance: sale.remainingBalance,
         date: sale.createdAt,
-        dueDate: sale.creditDetails?.dueDate
+        dueDate: sale.creditDetails?.dueDate,
+        installments: sale.outstandingInstallments()
       }))
     });
   } catch (error) {
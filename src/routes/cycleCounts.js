@@ -0,0 +1,275 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CycleCount from '../models/CycleCount.js';
+import Product from '../models/Product.js';
+import Counter from '../models/Counter.js';
+import { ADJUSTMENT_REASONS } from '../models/StockMovement.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import InventoryService from '../services/InventoryService.js';
+import { getFinancialYear, roundCurrency } from '../utils/gst.js';
+import { roundQuantity } from '../utils/units.js';
+
+const router = express.Router();
+
+// Snapshot system stock at the location against the counted quantities
+const buildCountItems = async (items, location) => {
+  if (!items || items.length === 0) {
+    throw new Error('Cycle count must have at least one item');
+  }
+
+  const countItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new Error(`Product ${item.product} not found`);
+    }
+
+    const countedQuantity = Number(item.countedQuantity);
+    if (Number.isNaN(countedQuantity) || countedQuantity < 0) {
+      throw new Error(`Invalid counted quantity for ${product.name}`);
+    }
+
+    let systemQuantity = product.locationQuantity(location);
+    if (item.batchNumber) {
+      const batch = product.findBatch(item.batchNumber, location);
+      if (!batch) {
+        throw new Error(`Batch ${item.batchNumber} not found for product ${product.name}`);
+      }
+      systemQuantity = batch.quantity;
+    }
+
+    if (item.reason && !ADJUSTMENT_REASONS.includes(item.reason)) {
+      throw new Error(`Invalid adjustment reason for ${product.name}`);
+    }
+
+    const variance = roundQuantity(countedQuantity - systemQuantity);
+    countItems.push({
+      product: product._id,
+      name: product.name,
+      batchNumber: item.batchNumber,
+      systemQuantity,
+      countedQuantity,
+      variance,
+      unitValue: product.price,
+      varianceValue: roundCurrency(variance * product.price),
+      reason: item.reason,
+      notes: item.notes
+    });
+  }
+
+  return countItems;
+};
+
+// Get all cycle counts with pagination and filters
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.location) {
+      query.location = req.query.location;
+    }
+
+    const total = await CycleCount.countDocuments(query);
+    const cycleCounts = await CycleCount.find(query)
+      .populate('location', 'name code')
+      .populate('createdBy', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      cycleCounts,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Record counted quantities (as draft)
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { items, notes, locationId } = req.body;
+    const location = await InventoryService.resolveLocation(locationId);
+    const countItems = await buildCountItems(items, location);
+    const financialYear = getFinancialYear();
+    const sequence = await Counter.next(`cycle-count-${financialYear}`);
+
+    const cycleCount = await CycleCount.create({
+      countNumber: `CC/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      location: location?._id,
+      items: countItems,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(cycleCount);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get cycle count by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id)
+      .populate('location', 'name code')
+      .populate('items.product', 'name sku quantity')
+      .populate('createdBy', 'name email')
+      .populate('reviewedBy', 'name email');
+
+    if (!cycleCount) {
+      return res.status(404).json({ message: 'Cycle count not found' });
+    }
+
+    res.json(cycleCount);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update a draft cycle count
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { items, notes } = req.body;
+    const cycleCount = await CycleCount.findById(req.params.id);
+
+    if (!cycleCount) {
+      return res.status(404).json({ message: 'Cycle count not found' });
+    }
+
+    if (cycleCount.status !== 'draft') {
+      throw new Error('Only draft cycle counts can be edited');
+    }
+
+    if (items) {
+      const location = await InventoryService.resolveLocation(cycleCount.location);
+      cycleCount.items = await buildCountItems(items, location);
+    }
+    if (notes !== undefined) {
+      cycleCount.notes = notes;
+    }
+
+    await cycleCount.save();
+    res.json(cycleCount);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Submit cycle count for approval
+router.post('/:id/submit', authenticate, async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id);
+
+    if (!cycleCount) {
+      return res.status(404).json({ message: 'Cycle count not found' });
+    }
+
+    if (cycleCount.status !== 'draft') {
+      throw new Error('Cycle count has already been submitted');
+    }
+
+    const unexplained = cycleCount.items.filter(item => item.variance !== 0 && !item.reason);
+    if (unexplained.length > 0) {
+      throw new Error(`Reason required for variance on ${unexplained.map(item => item.name).join(', ')}`);
+    }
+
+    cycleCount.status = 'submitted';
+    cycleCount.submittedAt = new Date();
+    await cycleCount.save();
+
+    res.json(cycleCount);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Approve cycle count and apply the variances to stock
+router.post('/:id/approve', authenticate, authorize('admin'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id).session(session);
+
+    if (!cycleCount) {
+      throw new Error('Cycle count not found');
+    }
+
+    if (cycleCount.status !== 'submitted') {
+      throw new Error('Only submitted cycle counts can be approved');
+    }
+
+    const location = await InventoryService.resolveLocation(cycleCount.location, session);
+
+    // Variances are applied as deltas so sales made since the count still stand
+    for (const item of cycleCount.items.filter(line => line.variance !== 0)) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product) {
+        throw new Error(`Product ${item.product} not found`);
+      }
+
+      await InventoryService.adjust(product, item.variance, {
+        batchNumber: item.batchNumber,
+        type: 'adjustment',
+        reference: cycleCount._id,
+        referenceModel: 'CycleCount',
+        reason: item.reason,
+        user: req.user.id,
+        notes: item.notes || `Cycle count ${cycleCount.countNumber}`,
+        location,
+        session
+      });
+    }
+
+    cycleCount.status = 'approved';
+    cycleCount.reviewedBy = req.user.id;
+    cycleCount.reviewedAt = new Date();
+    cycleCount.reviewNotes = req.body.notes;
+    await cycleCount.save({ session });
+
+    await session.commitTransaction();
+    res.json(cycleCount);
+  } catch (error) {
+    await session.abortTransaction();
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Reject cycle count
+router.post('/:id/reject', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const cycleCount = await CycleCount.findById(req.params.id);
+
+    if (!cycleCount) {
+      return res.status(404).json({ message: 'Cycle count not found' });
+    }
+
+    if (cycleCount.status !== 'submitted') {
+      throw new Error('Only submitted cycle counts can be rejected');
+    }
+
+    cycleCount.status = 'rejected';
+    cycleCount.reviewedBy = req.user.id;
+    cycleCount.reviewedAt = new Date();
+    cycleCount.reviewNotes = req.body.notes;
+    await cycleCount.save();
+
+    res.json(cycleCount);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import Sale from '../models/Sale.js';
 import Product from '../models/Product.js';
 import Customer from '../models/Customer.js';
+import Location from '../models/Location.js';
+import StockMovement from '../models/StockMovement.js';
 
 const router = express.Router();
 
@@ -93,7 +95,10 @@ router.get('/top-products', async (req, res) => {
       {
         $group: {
           _id: '$items.product',
-          totalQuantity: { $sum: '$items.quantity' },
+          // Items sold in different units are compared in base units
+          totalQuantity: {
+            $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.conversionFactor', 1] }] }
+          },
           totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } }
         }
       },
@@ -173,10 +178,20 @@ router.get('/credit-summary', async (req, res) => {
   }
 });
 
-// Get inventory status
+// Get inventory status, optionally at a single location
 router.get('/inventory-status', async (req, res) => {
   try {
+    const pipeline = [];
+    if (req.query.location) {
+      const location = await Location.findById(req.query.location);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+      pipeline.push(Product.locationQuantityStage(location));
+    }
+
     const inventoryStatus = await Product.aggregate([
+      ...pipeline,
       {
         $group: {
           _id: null,
@@ -205,6 +220,7 @@ router.get('/inventory-status', async (req, res) => {
     ]);
 
     const categoryBreakdown = await Product.aggregate([
+      ...pipeline,
       {
         $group: {
           _id: '$category',
@@ -230,4 +246,88 @@ router.get('/inventory-status', async (req, res) => {
   }
 });
 
+// Get inventory valuation by category at cost (the selling price for products never
+// purchased), optionally at a single location, with the adjustments over a period
+router.get('/inventory-valuation', async (req, res) => {
+  try {
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+
+    const stockStages = [];
+    const movementMatch = {
+      type: 'adjustment',
+      reason: { $exists: true },
+      createdAt: { $gte: startDate, $lte: endDate }
+    };
+    if (req.query.location) {
+      const location = await Location.findById(req.query.location);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+      stockStages.push(Product.locationQuantityStage(location));
+      // Movements recorded without a location happened at the default one
+      movementMatch.location = location.isDefault ? { $in: [location._id, null] } : location._id;
+    }
+
+    const [valuation, adjustments] = await Promise.all([
+      Product.aggregate([
+        ...stockStages,
+        {
+          $group: {
+            _id: '$category',
+            quantity: { $sum: '$quantity' },
+            value: { $sum: { $multiply: ['$quantity', { $ifNull: ['$costPrice', '$price'] }] } }
+          }
+        },
+        { $sort: { value: -1 } }
+      ]),
+      // Adjustments are valued as they were when recorded; older movements carry
+      // no value and fall back to the product's current one
+      StockMovement.aggregate([
+        { $match: movementMatch },
+        {
+          $lookup: {
+            from: 'products',
+            localField: 'product',
+            foreignField: '_id',
+            as: 'product'
+          }
+        },
+        { $unwind: '$product' },
+        {
+          $group: {
+            _id: '$reason',
+            quantity: { $sum: '$quantity' },
+            value: {
+              $sum: {
+                $multiply: [
+                  '$quantity',
+                  { $ifNull: ['$unitValue', { $ifNull: ['$product.costPrice', '$product.price'] }] }
+                ]
+              }
+            },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { value: 1 } }
+      ])
+    ]);
+
+    res.json({
+      startDate,
+      endDate,
+      totalValue: valuation.reduce((sum, category) => sum + category.value, 0),
+      byCategory: valuation,
+      adjustments: {
+        totalValue: adjustments.reduce((sum, reason) => sum + reason.value, 0),
+        byReason: adjustments
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,54 @@
+import express from 'express';
+import ImportJob from '../models/ImportJob.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get import jobs, newest first
+router.get('/', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = {};
+    if (req.query.entity) {
+      query.entity = req.query.entity;
+    }
+    if (req.query.dryRun !== undefined) {
+      query.dryRun = req.query.dryRun === 'true';
+    }
+
+    const total = await ImportJob.countDocuments(query);
+    const imports = await ImportJob.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      imports,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get an import job with the result of each row (filter rows by status)
+router.get('/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json(await job.withRows(req.query.status ? { status: req.query.status } : {}));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
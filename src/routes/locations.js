@@ -0,0 +1,155 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Location from '../models/Location.js';
+import Product from '../models/Product.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Unassigned stock and unlocated batches belong to the default location. Before the
+// default changes they are recorded against the old one, so nothing moves without a transfer.
+const switchDefault = async (location) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const previous = await Location.findOne({ isDefault: true }).session(session);
+    if (previous) {
+      const products = await Product.find({
+        $or: [
+          { batches: { $elemMatch: { location: null } } },
+          { $expr: { $gt: ['$quantity', { $sum: '$stock.quantity' }] } }
+        ]
+      }).session(session);
+
+      for (const product of products) {
+        if (product.pinUnassignedStock(previous)) {
+          await product.save({ session });
+        }
+      }
+    }
+
+    await Location.updateMany({ isDefault: true }, { isDefault: false }, { session });
+    await Location.updateOne({ _id: location._id }, { isDefault: true }, { session });
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Get all locations
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+
+    const locations = await Location.find(query).sort({ isDefault: -1, name: 1 });
+    res.json(locations);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create new location
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { name, code, type, address, isDefault } = req.body;
+
+    if (await Location.findOne({ code: code?.toUpperCase() })) {
+      return res.status(400).json({ message: 'Location code already exists' });
+    }
+
+    // The first location becomes the default so existing stock has a home
+    const hasDefault = await Location.exists({ isDefault: true });
+    const location = await Location.create({ name, code, type, address, isDefault: !hasDefault });
+
+    if (isDefault && hasDefault) {
+      await switchDefault(location);
+      location.isDefault = true;
+    }
+    res.status(201).json(location);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update location
+router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const fields = ['name', 'code', 'type', 'address', 'active'];
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    if (req.body.code && await Location.findOne({
+      code: req.body.code.toUpperCase(),
+      _id: { $ne: req.params.id }
+    })) {
+      return res.status(400).json({ message: 'Location code already exists' });
+    }
+
+    if (location.isDefault && req.body.active === false) {
+      throw new Error('The default location cannot be deactivated');
+    }
+
+    if (req.body.isDefault === true && !location.isDefault) {
+      await switchDefault(location);
+      location.isDefault = true;
+    }
+
+    fields
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => location.set(field, req.body[field]));
+
+    await location.save();
+    res.json(location);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get stock held at a location
+router.get('/:id/stock', authenticate, async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const query = {};
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+    if (req.query.search) {
+      query.$or = [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { sku: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    const products = await Product.aggregate([
+      { $match: query },
+      Product.locationQuantityStage(location),
+      { $match: { quantity: { $gt: 0 } } },
+      { $project: { name: 1, sku: 1, category: 1, price: 1, stockThreshold: 1, quantity: 1 } },
+      { $sort: { name: 1 } }
+    ]);
+
+    res.json({
+      location,
+      products,
+      totalValue: products.reduce((sum, product) => sum + product.quantity * product.price, 0)
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,289 @@
+import express from 'express';
+import ParkedSale from '../models/ParkedSale.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import { authenticate } from '../middleware/auth.js';
+import InventoryService from '../services/InventoryService.js';
+import SaleService from '../services/SaleService.js';
+
+const router = express.Router();
+
+// Minutes a parked sale is kept before it expires
+const EXPIRY_MINUTES = parseInt(process.env.PARKED_SALE_EXPIRY_MINUTES) || 120;
+
+const resolveExpiresAt = () => new Date(Date.now() + EXPIRY_MINUTES * 60 * 1000);
+
+// Check the cart refers to real products and units; prices and stock are left to finalizing
+const buildParkedItems = async (items) => {
+  if (!items || items.length === 0) {
+    throw new Error('Parked sale must have at least one item');
+  }
+
+  const parkedItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new Error(`Product ${item.product} not found`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!quantity || quantity <= 0) {
+      throw new Error(`Invalid quantity for product ${product.name}`);
+    }
+
+    parkedItems.push({
+      product: product._id,
+      quantity,
+      unit: product.findUnit(item.unit).name,
+      price: item.price,
+      overrideReason: item.overrideReason,
+      batchNumber: item.batchNumber
+    });
+  }
+
+  return parkedItems;
+};
+
+const resolveCustomer = async (customerId) => {
+  if (!customerId) return undefined;
+
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+  return customer._id;
+};
+
+const checkOpen = (parkedSale) => {
+  if (!parkedSale.isOpen()) {
+    throw new Error(`Parked sale is ${parkedSale.status === 'parked' ? 'expired' : parkedSale.status}`);
+  }
+};
+
+// Staff work with their own parked sales, as in the list; admins with anyone's
+const canAccess = (parkedSale, user) => user.role === 'admin' || parkedSale.createdBy._id.equals(user.id);
+
+const notAuthorized = res => res.status(403).json({ message: 'Not authorized to access this parked sale' });
+
+// Get parked sales, by default the current user's; admins may list anyone's
+router.get('/', authenticate, async (req, res) => {
+  try {
+    await ParkedSale.expireStale();
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = { status: req.query.status || 'parked' };
+    if (req.user.role !== 'admin') {
+      query.createdBy = req.user.id;
+    } else if (req.query.userId) {
+      query.createdBy = req.query.userId;
+    }
+
+    const total = await ParkedSale.countDocuments(query);
+    const parkedSales = await ParkedSale.find(query)
+      .populate('customer', 'name code phone')
+      .populate('items.product', 'name sku')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      parkedSales,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Park a cart
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const {
+      label, customerId, items, paymentType, tenders, creditDetails, locationId, notes
+    } = req.body;
+
+    const location = locationId ? await InventoryService.resolveLocation(locationId) : null;
+
+    const parkedSale = await ParkedSale.create({
+      label,
+      customer: await resolveCustomer(customerId),
+      items: await buildParkedItems(items),
+      paymentType,
+      tenders,
+      creditDetails,
+      location: location?._id,
+      notes,
+      expiresAt: resolveExpiresAt(),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(parkedSale);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get parked sale by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    await ParkedSale.expireStale();
+
+    const parkedSale = await ParkedSale.findById(req.params.id)
+      .populate('customer', 'name code phone')
+      .populate('items.product', 'name sku price baseUnit units')
+      .populate('createdBy', 'name email');
+
+    if (!parkedSale) {
+      return res.status(404).json({ message: 'Parked sale not found' });
+    }
+
+    if (!canAccess(parkedSale, req.user)) {
+      return notAuthorized(res);
+    }
+
+    res.json(parkedSale);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Edit a parked sale; editing keeps it from expiring
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const parkedSale = await ParkedSale.findById(req.params.id);
+
+    if (!parkedSale) {
+      return res.status(404).json({ message: 'Parked sale not found' });
+    }
+
+    if (!canAccess(parkedSale, req.user)) {
+      return notAuthorized(res);
+    }
+    checkOpen(parkedSale);
+
+    const { customerId, items, locationId } = req.body;
+    if (customerId !== undefined) {
+      parkedSale.customer = await resolveCustomer(customerId);
+    }
+    if (items) {
+      parkedSale.items = await buildParkedItems(items);
+    }
+    if (locationId !== undefined) {
+      const location = locationId ? await InventoryService.resolveLocation(locationId) : null;
+      parkedSale.location = location?._id;
+    }
+
+    const fields = ['label', 'paymentType', 'tenders', 'creditDetails', 'notes'];
+    fields
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => parkedSale.set(field, req.body[field]));
+
+    parkedSale.expiresAt = resolveExpiresAt();
+    await parkedSale.save();
+    res.json(parkedSale);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Resume a parked sale at the counter
+router.post('/:id/resume', authenticate, async (req, res) => {
+  try {
+    const parkedSale = await ParkedSale.findById(req.params.id);
+
+    if (!parkedSale) {
+      return res.status(404).json({ message: 'Parked sale not found' });
+    }
+
+    if (!canAccess(parkedSale, req.user)) {
+      return notAuthorized(res);
+    }
+    checkOpen(parkedSale);
+
+    parkedSale.resumedAt = new Date();
+    parkedSale.resumedBy = req.user.id;
+    parkedSale.expiresAt = resolveExpiresAt();
+    await parkedSale.save();
+
+    await parkedSale.populate('items.product', 'name sku price baseUnit units');
+    res.json(parkedSale);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Finalize a parked sale into a real sale.
+// It goes through the regular sale flow; payment details may be given now.
+router.post('/:id/finalize', authenticate, async (req, res) => {
+  try {
+    const parkedSale = await ParkedSale.findById(req.params.id);
+
+    if (!parkedSale) {
+      return res.status(404).json({ message: 'Parked sale not found' });
+    }
+
+    if (!canAccess(parkedSale, req.user)) {
+      return notAuthorized(res);
+    }
+    checkOpen(parkedSale);
+
+    const { paymentType, tenders, creditDetails, totalAmount } = req.body;
+    const sale = await SaleService.createSale({
+      customerId: req.body.customerId || parkedSale.customer,
+      items: parkedSale.items.map(item => item.toObject()),
+      paymentType: paymentType || parkedSale.paymentType,
+      tenders: tenders || (parkedSale.tenders.length > 0 ? parkedSale.tenders : undefined),
+      creditDetails: creditDetails || parkedSale.creditDetails,
+      locationId: parkedSale.location,
+      totalAmount
+    }, req.user, {
+      // Claimed in the sale's transaction so a cart can't be sold twice
+      afterRecord: async (recorded, session) => {
+        const claimed = await ParkedSale.findOneAndUpdate(
+          { _id: parkedSale._id, status: 'parked' },
+          { $set: { status: 'finalized', sale: recorded._id, finalizedAt: new Date() } },
+          { session }
+        );
+        if (!claimed) {
+          throw new Error('Parked sale has already been finalized');
+        }
+      }
+    });
+
+    res.status(201).json({ ...sale.toJSON(), breakdown: sale.breakdown() });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Discard a parked sale
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const parkedSale = await ParkedSale.findById(req.params.id);
+
+    if (!parkedSale) {
+      return res.status(404).json({ message: 'Parked sale not found' });
+    }
+
+    if (!canAccess(parkedSale, req.user)) {
+      return notAuthorized(res);
+    }
+
+    if (parkedSale.status !== 'parked') {
+      throw new Error(`Parked sale is ${parkedSale.status}`);
+    }
+
+    parkedSale.status = 'discarded';
+    await parkedSale.save();
+    res.json({ message: 'Parked sale discarded' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
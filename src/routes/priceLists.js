@@ -0,0 +1,206 @@
+import express from 'express';
+import PriceList, { PRICE_LIST_TYPES } from '../models/PriceList.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import AuditLog from '../models/AuditLog.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import PricingService from '../services/PricingService.js';
+
+const router = express.Router();
+
+// Check listed products and units against the catalogue
+const buildPriceListItems = async (items = []) => {
+  const listItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new Error(`Product ${item.product} not found`);
+    }
+
+    const unit = product.findUnit(item.unit);
+    listItems.push({
+      product: product._id,
+      unit: unit.name === product.baseUnit ? undefined : unit.name,
+      price: item.price,
+      tiers: item.tiers || []
+    });
+  }
+
+  return listItems;
+};
+
+// Get all price lists
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+
+    const priceLists = await PriceList.find(query)
+      .select('-items')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.json(priceLists);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create new price list
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { name, code, type, description, validFrom, validTo, isDefault, items } = req.body;
+
+    if (!PRICE_LIST_TYPES.includes(type)) {
+      throw new Error('Invalid price list type');
+    }
+
+    if (await PriceList.findOne({ code: code?.toUpperCase() })) {
+      return res.status(400).json({ message: 'Price list code already exists' });
+    }
+
+    if (isDefault) {
+      await PriceList.updateMany({ isDefault: true }, { isDefault: false });
+    }
+
+    const priceList = await PriceList.create({
+      name,
+      code,
+      type,
+      description,
+      validFrom,
+      validTo,
+      isDefault,
+      items: await buildPriceListItems(items),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(priceList);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Preview the price a customer would be charged
+router.get('/resolve', authenticate, async (req, res) => {
+  try {
+    const { customerId, productId, unit } = req.query;
+    const quantity = Number(req.query.quantity) || 1;
+
+    const [customer, product] = await Promise.all([
+      customerId ? Customer.findById(customerId) : null,
+      Product.findById(productId)
+    ]);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const priceList = await PricingService.getPriceList(customer);
+    const resolved = PricingService.resolvePrice(product, product.findUnit(unit), quantity, priceList);
+
+    res.json({
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      unit: product.findUnit(unit).name,
+      quantity,
+      ...resolved,
+      priceListName: priceList?.name
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get logged price overrides
+router.get('/overrides', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+
+    const query = { action: 'price_override' };
+    if (startDate && endDate) {
+      query.createdAt = { $gte: startDate, $lte: endDate };
+    }
+    if (req.query.userId) {
+      query.user = req.query.userId;
+    }
+
+    const total = await AuditLog.countDocuments(query);
+    const overrides = await AuditLog.find(query)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      overrides,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get price list by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id)
+      .populate('items.product', 'name sku price baseUnit');
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    res.json(priceList);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update price list
+router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const fields = ['name', 'code', 'type', 'description', 'validFrom', 'validTo', 'active'];
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({ message: 'Price list not found' });
+    }
+
+    if (req.body.code && await PriceList.findOne({
+      code: req.body.code.toUpperCase(),
+      _id: { $ne: req.params.id }
+    })) {
+      return res.status(400).json({ message: 'Price list code already exists' });
+    }
+
+    if (req.body.isDefault === true && !priceList.isDefault) {
+      await PriceList.updateMany({ isDefault: true }, { isDefault: false });
+      priceList.isDefault = true;
+    } else if (req.body.isDefault === false) {
+      priceList.isDefault = false;
+    }
+
+    fields
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => priceList.set(field, req.body[field]));
+
+    if (req.body.items) {
+      priceList.items = await buildPriceListItems(req.body.items);
+    }
+
+    await priceList.save();
+    res.json(priceList);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -1,33 +1,42 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
+import Location from '../models/Location.js';
+import StockMovement, { MOVEMENT_TYPES } from '../models/StockMovement.js';
+import InventoryService from '../services/InventoryService.js';
+import LabelService, { BARCODE_FORMATS, LABEL_SYMBOLOGIES } from '../services/LabelService.js';
+import ImportService from '../services/ImportService.js';
+import ExportService, { PRODUCT_EXPORT_COLUMNS } from '../services/ExportService.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import multer from 'multer';
-import csv from 'csv-parser';
-import { Readable } from 'stream';
 
 const router = express.Router();
 const upload = multer();
 
+// Filters shared by the product list and its export
+const listQuery = ({ search, category }) => {
+  const query = {};
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { sku: { $regex: search, $options: 'i' } }
+    ];
+  }
+  if (category) {
+    query.category = category;
+  }
+  return query;
+};
+
 // Get all products with pagination and search
 router.get('/', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search;
-    const category = req.query.category;
     const sortBy = req.query.sortBy || 'createdAt';
     const order = req.query.order === 'asc' ? 1 : -1;
 
-    const query = {};
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { sku: { $regex: search, $options: 'i' } }
-      ];
-    }
-    if (category) {
-      query.category = category;
-    }
+    const query = listQuery(req.query);
 
     const total = await Product.countDocuments(query);
     const products = await Product.find(query)
@@ -46,36 +55,152 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Export products matching the list filters as CSV, XLSX or JSON
+router.get('/export', authenticate, async (req, res) => {
+  try {
+    const sortBy = req.query.sortBy || 'createdAt';
+    const order = req.query.order === 'asc' ? 1 : -1;
+
+    await ExportService.stream(res, Product.find(listQuery(req.query)).sort({ [sortBy]: order, _id: 1 }).lean(), {
+      columns: PRODUCT_EXPORT_COLUMNS,
+      format: req.query.format,
+      name: 'products'
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Create new product
 router.post('/', authenticate, authorize('admin'), async (req, res) => {
   try {
     const product = await Product.create(req.body);
+
+    if (product.quantity > 0) {
+      await InventoryService.record(product, product.quantity, product.batches, {
+        type: 'adjustment',
+        reference: product._id,
+        referenceModel: 'Product',
+        user: req.user.id,
+        notes: 'Opening stock'
+      });
+    }
+
     res.status(201).json(product);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Bulk import products via CSV
+// Bulk import products from a CSV or XLSX `file`. `mapping` is a JSON object of
+// field -> column header, `mode=upsert` updates products matched by SKU and
+// `dryRun=true` previews the result; either way an import job records each row.
 router.post('/bulk-import', authenticate, authorize('admin'), upload.single('file'), async (req, res) => {
   try {
-    const results = [];
-    const stream = Readable.from(req.file.buffer.toString());
-
-    stream
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', async () => {
-        try {
-          const products = await Product.insertMany(results);
-          res.json({
-            message: `Successfully imported ${products.length} products`,
-            products
-          });
-        } catch (error) {
-          res.status(400).json({ message: error.message });
+    const job = await ImportService.importProducts(req.file, {
+      mapping: req.body.mapping,
+      mode: req.body.mode,
+      dryRun: req.body.dryRun === 'true' || req.body.dryRun === true
+    }, req.user);
+
+    // A job that stopped partway still reports the rows it got through
+    if (job.status === 'failed') {
+      return res.status(500).json({ message: job.error, job: await job.withRows() });
+    }
+
+    res.status(job.dryRun ? 200 : 201).json(await job.withRows());
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get products with batches expiring within the given number of days
+router.get('/alerts/expiring-soon', authenticate, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const now = new Date();
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() + days);
+
+    const batches = await Product.aggregate([
+      { $unwind: '$batches' },
+      {
+        $match: {
+          'batches.quantity': { $gt: 0 },
+          'batches.expiryDate': { $lte: cutoff }
         }
-      });
+      },
+      {
+        $project: {
+          name: 1,
+          sku: 1,
+          category: 1,
+          batchNumber: '$batches.batchNumber',
+          quantity: '$batches.quantity',
+          manufactureDate: '$batches.manufactureDate',
+          expiryDate: '$batches.expiryDate',
+          expired: { $lte: ['$batches.expiryDate', now] }
+        }
+      },
+      { $sort: { expiryDate: 1 } }
+    ]);
+
+    res.json(batches);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Find the product a scanned barcode (or SKU) belongs to
+router.get('/lookup/:barcode', authenticate, async (req, res) => {
+  try {
+    const code = req.params.barcode.trim();
+    const product = await Product.findOne({ $or: [{ barcode: code }, { sku: code }] });
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Print a label sheet for the selected products, optionally per batch
+router.post('/labels', authenticate, async (req, res) => {
+  try {
+    const { items, symbology = 'barcode' } = req.body;
+
+    if (!items?.length) {
+      throw new Error('Select at least one product to print labels for');
+    }
+
+    if (!LABEL_SYMBOLOGIES.includes(symbology)) {
+      throw new Error(`Invalid symbology: ${symbology}`);
+    }
+
+    const labels = [];
+    for (const item of items) {
+      const product = await Product.findById(item.productId);
+      if (!product) {
+        return res.status(404).json({ message: `Product ${item.productId} not found` });
+      }
+
+      const batch = item.batchNumber ? product.findBatch(item.batchNumber) : undefined;
+      if (item.batchNumber && !batch) {
+        throw new Error(`Batch ${item.batchNumber} not found for product ${product.name}`);
+      }
+
+      const copies = parseInt(item.copies) || 1;
+      if (copies < 1 || copies > 500) {
+        throw new Error('Copies must be between 1 and 500');
+      }
+
+      labels.push({ product, unit: product.findUnit(item.unit), batch, copies });
+    }
+
+    await LabelService.streamLabelSheet(res, labels, { symbology });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -94,23 +219,275 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update product
+// Update product; the edit and any stock adjustment are saved together or not at all
 router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Batches and location stock are managed through their own endpoints
+    const { quantity, batches, stock, locationId, ...updates } = req.body;
+
+    const product = await Product.findById(req.params.id).session(session);
+    if (!product) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    product.set(updates);
+    await product.save({ session });
+
+    // Stock edits are logged as adjustments against the unbatched stock
+    if (quantity !== undefined && Number(quantity) !== product.quantity) {
+      await InventoryService.adjust(product, Number(quantity) - product.quantity, {
+        type: 'adjustment',
+        reference: product._id,
+        referenceModel: 'Product',
+        user: req.user.id,
+        notes: 'Manual stock edit',
+        location: await InventoryService.resolveLocation(locationId, session),
+        session
+      });
+    }
+
+    await session.commitTransaction();
+    res.json(product);
+  } catch (error) {
+    await session.abortTransaction();
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Assign a barcode: the one given, the SKU as Code 128 (type=code128)
+// or the next in-store EAN-13 (the default)
+router.post('/:id/barcode', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+
+    await LabelService.assignBarcode(product, req.body);
     res.json(product);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Get the product's barcode (or QR with symbology=qr) as a PNG or SVG image
+router.get('/:id/barcode', authenticate, async (req, res) => {
+  try {
+    const imageFormat = req.query.format || 'png';
+    const symbology = req.query.symbology || 'barcode';
+
+    if (!BARCODE_FORMATS.includes(imageFormat)) {
+      throw new Error(`Invalid image format: ${imageFormat}`);
+    }
+
+    if (!LABEL_SYMBOLOGIES.includes(symbology)) {
+      throw new Error(`Invalid symbology: ${symbology}`);
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { value, type } = product.labelCode();
+    const image = await LabelService.renderBarcode(value, type, { format: imageFormat, symbology });
+
+    res.type(imageFormat === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(image);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get stock movements of a product
+router.get('/:id/movements', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+
+    const query = { product: req.params.id };
+    if (startDate && endDate) {
+      query.createdAt = { $gte: startDate, $lte: endDate };
+    }
+    if (req.query.type) {
+      if (!MOVEMENT_TYPES.includes(req.query.type)) {
+        throw new Error('Invalid movement type');
+      }
+      query.type = req.query.type;
+    }
+    if (req.query.location) {
+      query.location = req.query.location;
+    }
+
+    const total = await StockMovement.countDocuments(query);
+    const movements = await StockMovement.find(query)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      movements,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get stock card: opening balance, movements and closing balance for a period
+router.get('/:id/stock-card', authenticate, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku quantity');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+
+    const [previous, movements] = await Promise.all([
+      StockMovement.findOne({ product: product._id, createdAt: { $lt: startDate } })
+        .sort({ createdAt: -1 }),
+      StockMovement.find({ product: product._id, createdAt: { $gte: startDate, $lte: endDate } })
+        .populate('user', 'name')
+        .sort({ createdAt: 1 })
+    ]);
+
+    const openingBalance = previous?.balanceAfter || 0;
+    const totals = { in: 0, out: 0 };
+    const entries = movements.map(movement => {
+      if (movement.quantity > 0) totals.in += movement.quantity;
+      else totals.out += -movement.quantity;
+
+      return {
+        date: movement.createdAt,
+        type: movement.type,
+        reference: movement.reference,
+        referenceModel: movement.referenceModel,
+        in: movement.quantity > 0 ? movement.quantity : 0,
+        out: movement.quantity < 0 ? -movement.quantity : 0,
+        balance: movement.balanceAfter,
+        batches: movement.batches,
+        user: movement.user?.name,
+        notes: movement.notes
+      };
+    });
+
+    res.json({
+      product,
+      startDate,
+      endDate,
+      openingBalance,
+      totalIn: totals.in,
+      totalOut: totals.out,
+      closingBalance: entries.length > 0 ? entries[entries.length - 1].balance : openingBalance,
+      entries
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get batches of a product, earliest expiry first
+router.get('/:id/batches', authenticate, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku quantity batches stock');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    let location = null;
+    if (req.query.location) {
+      location = await Location.findById(req.query.location);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+    }
+
+    const batches = product.batchesAt(location)
+      .sort((a, b) => (a.expiryDate || Infinity) - (b.expiryDate || Infinity));
+
+    res.json({
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      quantity: product.locationQuantity(location),
+      unbatchedQuantity: product.unbatchedQuantity(location),
+      batches
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get stock of a product at each location
+router.get('/:id/locations', authenticate, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku quantity batches stock');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const locations = await Location.find({ active: true }).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      quantity: product.quantity,
+      locations: locations.map(location => ({
+        location: { _id: location._id, name: location.name, code: location.code },
+        quantity: product.locationQuantity(location),
+        sellableQuantity: product.sellableQuantity(location)
+      }))
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Receive stock into a batch
+router.post('/:id/batches', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { batchNumber, quantity, manufactureDate, expiryDate, locationId } = req.body;
+
+    if (!batchNumber || !quantity || quantity <= 0) {
+      throw new Error('Batch number and a positive quantity are required');
+    }
+
+    if (manufactureDate && expiryDate && new Date(expiryDate) <= new Date(manufactureDate)) {
+      throw new Error('Expiry date must be after manufacture date');
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    await InventoryService.receive(product, quantity, { batchNumber, manufactureDate, expiryDate }, {
+      type: 'purchase',
+      reference: product._id,
+      referenceModel: 'Product',
+      user: req.user.id,
+      notes: `Received batch ${batchNumber}`,
+      location: await InventoryService.resolveLocation(locationId)
+    });
+
+    res.status(201).json(product);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Delete product
 router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
   try {
@@ -124,12 +501,23 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
   }
 });
 
-// Get low stock products
+// Get low stock products, optionally at a single location
 router.get('/alerts/low-stock', authenticate, async (req, res) => {
   try {
-    const products = await Product.find({
-      quantity: { $lte: '$stockThreshold' }
-    });
+    const pipeline = [];
+    if (req.query.location) {
+      const location = await Location.findById(req.query.location);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+      pipeline.push(Product.locationQuantityStage(location));
+    }
+
+    const products = await Product.aggregate([
+      ...pipeline,
+      { $match: { $expr: { $lte: ['$quantity', '$stockThreshold'] } } },
+      { $sort: { quantity: 1 } }
+    ]);
     res.json(products);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -0,0 +1,128 @@
+import express from 'express';
+import Promotion, { PROMOTION_TYPES } from '../models/Promotion.js';
+import Sale from '../models/Sale.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const PROMOTION_FIELDS = [
+  'name', 'code', 'description', 'type', 'value', 'minQuantity', 'minAmount',
+  'buyQuantity', 'freeQuantity', 'freeProduct', 'unit', 'bundleItems',
+  'products', 'categories', 'customers', 'startDate', 'endDate', 'active'
+];
+
+// Get all promotions
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+    // Only promotions running today
+    if (req.query.running === 'true') {
+      const now = new Date();
+      query.active = true;
+      query.startDate = { $lte: now };
+      query.endDate = { $gte: now };
+    }
+
+    const promotions = await Promotion.find(query)
+      .populate('products', 'name sku')
+      .populate('freeProduct', 'name sku')
+      .sort({ startDate: -1 });
+
+    res.json(promotions);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create new promotion
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    if (!PROMOTION_TYPES.includes(req.body.type)) {
+      throw new Error('Invalid promotion type');
+    }
+
+    if (await Promotion.findOne({ code: req.body.code?.toUpperCase() })) {
+      return res.status(400).json({ message: 'Promotion code already exists' });
+    }
+
+    const promotion = new Promotion({ createdBy: req.user.id });
+    PROMOTION_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => promotion.set(field, req.body[field]));
+
+    await promotion.save();
+    res.status(201).json(promotion);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get promotion by ID with what it has given away
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('products', 'name sku')
+      .populate('customers', 'name code')
+      .populate('freeProduct', 'name sku')
+      .populate('bundleItems.product', 'name sku');
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const [usage] = await Sale.aggregate([
+      { $match: { 'discounts.promotion': promotion._id, status: { $ne: 'cancelled' } } },
+      { $unwind: '$discounts' },
+      { $match: { 'discounts.promotion': promotion._id } },
+      {
+        $group: {
+          _id: null,
+          sales: { $sum: 1 },
+          discountAmount: { $sum: '$discounts.amount' }
+        }
+      }
+    ]);
+
+    res.json({
+      ...promotion.toObject(),
+      usage: { sales: usage?.sales || 0, discountAmount: usage?.discountAmount || 0 }
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update promotion
+router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    if (req.body.code && await Promotion.findOne({
+      code: req.body.code.toUpperCase(),
+      _id: { $ne: req.params.id }
+    })) {
+      return res.status(400).json({ message: 'Promotion code already exists' });
+    }
+
+    PROMOTION_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => promotion.set(field, req.body[field]));
+
+    await promotion.save();
+    res.json(promotion);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,301 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Product from '../models/Product.js';
+import Counter from '../models/Counter.js';
+import { authenticate } from '../middleware/auth.js';
+import InventoryService from '../services/InventoryService.js';
+import { getFinancialYear } from '../utils/gst.js';
+import { roundQuantity } from '../utils/units.js';
+
+const router = express.Router();
+
+// Resolve ordered items against the catalogue
+const buildOrderItems = async (items) => {
+  if (!items || items.length === 0) {
+    throw new Error('Purchase order must have at least one item');
+  }
+
+  const orderItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new Error(`Product ${item.product} not found`);
+    }
+
+    orderItems.push({
+      product: product._id,
+      name: product.name,
+      quantity: item.quantity,
+      unitCost: item.unitCost
+    });
+  }
+
+  return orderItems;
+};
+
+const calculateTotal = (items) => items.reduce((sum, item) => sum + item.unitCost * item.quantity, 0);
+
+// Get all purchase orders with pagination and filters
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+
+    const query = {};
+    if (startDate && endDate) {
+      query.createdAt = { $gte: startDate, $lte: endDate };
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.supplierId) {
+      query.supplier = req.query.supplierId;
+    }
+
+    const total = await PurchaseOrder.countDocuments(query);
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name code phone')
+      .select('-receipts')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      purchaseOrders,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create new purchase order (as draft)
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { supplierId, items, expectedDate, notes } = req.body;
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+
+    if (supplier.status !== 'active') {
+      throw new Error('Supplier is inactive');
+    }
+
+    const orderItems = await buildOrderItems(items);
+    const financialYear = getFinancialYear();
+    const sequence = await Counter.next(`purchase-order-${financialYear}`);
+
+    const purchaseOrder = await PurchaseOrder.create({
+      poNumber: `PO/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      supplier: supplier._id,
+      items: orderItems,
+      totalAmount: calculateTotal(orderItems),
+      expectedDate,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get purchase order by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier', 'name code phone email')
+      .populate('items.product', 'name sku quantity')
+      .populate('receipts.receivedBy', 'name email')
+      .populate('createdBy', 'name email');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update a draft purchase order
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { items, expectedDate, notes } = req.body;
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      throw new Error('Only draft purchase orders can be edited');
+    }
+
+    if (items) {
+      purchaseOrder.items = await buildOrderItems(items);
+      purchaseOrder.totalAmount = calculateTotal(purchaseOrder.items);
+    }
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    await purchaseOrder.save();
+    res.json(purchaseOrder);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update purchase order status (send, close or cancel)
+router.patch('/:id/status', authenticate, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    const allowed = {
+      draft: ['sent', 'cancelled'],
+      sent: ['cancelled', 'closed'],
+      partially_received: ['closed'],
+      closed: [],
+      cancelled: []
+    };
+
+    if (!allowed[purchaseOrder.status].includes(status)) {
+      throw new Error(`Cannot change a ${purchaseOrder.status} purchase order to ${status}`);
+    }
+
+    purchaseOrder.status = status;
+    if (status === 'sent') purchaseOrder.sentAt = new Date();
+    if (status === 'closed') purchaseOrder.closedAt = new Date();
+
+    await purchaseOrder.save();
+    res.json(purchaseOrder);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Record goods received against a purchase order
+router.post('/:id/receipts', authenticate, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { items, invoiceReference, notes, locationId } = req.body;
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+
+    if (!purchaseOrder) {
+      throw new Error('Purchase order not found');
+    }
+
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+      throw new Error('Goods can only be received against a sent purchase order');
+    }
+
+    if (!items || items.length === 0) {
+      throw new Error('Receipt must have at least one item');
+    }
+
+    // Goods are put away at the named location, or the default one
+    const location = await InventoryService.resolveLocation(locationId, session);
+
+    const receiptItems = [];
+    for (const item of items) {
+      const orderItem = purchaseOrder.items.find(
+        line => line.product.toString() === item.product?.toString()
+      );
+      if (!orderItem) {
+        throw new Error(`Product ${item.product} is not on this purchase order`);
+      }
+
+      const quantity = Number(item.quantity);
+      if (!quantity || quantity <= 0) {
+        throw new Error(`Invalid quantity received for ${orderItem.name}`);
+      }
+
+      if (roundQuantity(orderItem.receivedQuantity + quantity) > orderItem.quantity) {
+        throw new Error(`Received quantity for ${orderItem.name} exceeds quantity ordered`);
+      }
+
+      const product = await Product.findById(orderItem.product).session(session);
+      if (!product) {
+        throw new Error(`Product ${orderItem.product} not found`);
+      }
+
+      const batch = item.batchNumber
+        ? { batchNumber: item.batchNumber, manufactureDate: item.manufactureDate, expiryDate: item.expiryDate }
+        : null;
+
+      await InventoryService.receive(product, quantity, batch, {
+        type: 'purchase',
+        reference: purchaseOrder._id,
+        referenceModel: 'PurchaseOrder',
+        user: req.user.id,
+        notes: `Received against ${purchaseOrder.poNumber}`,
+        unitCost: orderItem.unitCost,
+        location,
+        session
+      });
+
+      orderItem.receivedQuantity = roundQuantity(orderItem.receivedQuantity + quantity);
+      receiptItems.push({
+        product: orderItem.product,
+        quantity,
+        unitCost: item.unitCost ?? orderItem.unitCost,
+        batchNumber: item.batchNumber,
+        manufactureDate: item.manufactureDate,
+        expiryDate: item.expiryDate
+      });
+    }
+
+    const amount = receiptItems.reduce((sum, item) => sum + item.unitCost * item.quantity, 0);
+    purchaseOrder.receipts.push({
+      items: receiptItems,
+      amount,
+      invoiceReference,
+      location: location?._id,
+      notes,
+      receivedBy: req.user.id
+    });
+    purchaseOrder.receivedAmount += amount;
+
+    if (purchaseOrder.isFullyReceived()) {
+      purchaseOrder.status = 'closed';
+      purchaseOrder.closedAt = new Date();
+    } else {
+      purchaseOrder.status = 'partially_received';
+    }
+    await purchaseOrder.save({ session });
+
+    // Received goods are owed to the supplier
+    await Supplier.findByIdAndUpdate(
+      purchaseOrder.supplier,
+      { $inc: { payableBalance: amount } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    await session.abortTransaction();
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+export default router;
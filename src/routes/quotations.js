@@ -0,0 +1,323 @@
+import express from 'express';
+import crypto from 'crypto';
+import Quotation, { OPEN_STATUSES } from '../models/Quotation.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import Counter from '../models/Counter.js';
+import { authenticate } from '../middleware/auth.js';
+import InvoiceService from '../services/InvoiceService.js';
+import SaleService from '../services/SaleService.js';
+import PricingService from '../services/PricingService.js';
+import { getFinancialYear } from '../utils/gst.js';
+
+const router = express.Router();
+
+// Default number of days a quotation stays valid
+const DEFAULT_VALIDITY_DAYS = 15;
+
+// Resolve quoted items against the catalogue and the customer's price list.
+// Quoting below the resolved price is an override, as it would be on a sale.
+const buildQuotationItems = async (items, customer, user) => {
+  if (!items || items.length === 0) {
+    throw new Error('Quotation must have at least one item');
+  }
+
+  const priceList = await PricingService.getPriceList(customer);
+  const quotationItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new Error(`Product ${item.product} not found`);
+    }
+
+    const unit = product.findUnit(item.unit);
+    const resolved = PricingService.resolvePrice(product, unit, item.quantity, priceList);
+    const override = PricingService.checkOverride(user, product, item, resolved);
+
+    quotationItems.push({
+      product: product._id,
+      name: product.name,
+      quantity: item.quantity,
+      unit: unit.name,
+      price: override?.price ?? resolved.price,
+      listPrice: resolved.price,
+      priceOverride: override ? { reason: override.reason, user: user.id } : undefined
+    });
+  }
+
+  return quotationItems;
+};
+
+const calculateTotal = (items) => items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+const resolveValidUntil = (validUntil) => {
+  if (validUntil) return new Date(validUntil);
+
+  const date = new Date();
+  date.setDate(date.getDate() + DEFAULT_VALIDITY_DAYS);
+  return date;
+};
+
+// View a shared quotation (no login needed, the token is the secret)
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const quotation = await Quotation.findOne({ shareToken: req.params.token })
+      .populate('customer', 'name phone email address state');
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    InvoiceService.streamQuotationPDF(res, quotation);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get all quotations with pagination and filters
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    await Quotation.expireStale();
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.customerId) {
+      query.customer = req.query.customerId;
+    }
+
+    const total = await Quotation.countDocuments(query);
+    const quotations = await Quotation.find(query)
+      .populate('customer', 'name email phone')
+      .select('-revisions')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      quotations,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create new quotation
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { customerId, items, validUntil, notes } = req.body;
+
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const quotationItems = await buildQuotationItems(items, customer, req.user);
+    const financialYear = getFinancialYear();
+    const sequence = await Counter.next(`quotation-${financialYear}`);
+
+    const quotation = await Quotation.create({
+      quotationNumber: `QTN/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      customer: customer._id,
+      items: quotationItems,
+      totalAmount: calculateTotal(quotationItems),
+      validUntil: resolveValidUntil(validUntil),
+      notes,
+      createdBy: req.user.id
+    });
+    await PricingService.logOverrides(quotation, 'Quotation', quotationItems, req.user);
+
+    res.status(201).json(quotation);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get quotation by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id)
+      .populate('customer', 'name email phone')
+      .populate('createdBy', 'name email')
+      .populate('revisions.revisedBy', 'name email');
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    res.json(quotation);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Revise quotation, keeping the previous version in its history
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { items, validUntil, notes } = req.body;
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (['converted', 'cancelled'].includes(quotation.status)) {
+      throw new Error(`Cannot revise a ${quotation.status} quotation`);
+    }
+
+    quotation.revisions.push({
+      revision: quotation.revision,
+      items: quotation.items,
+      totalAmount: quotation.totalAmount,
+      validUntil: quotation.validUntil,
+      notes: quotation.notes,
+      revisedBy: req.user.id
+    });
+
+    let revisedItems = [];
+    if (items) {
+      const customer = await Customer.findById(quotation.customer);
+      revisedItems = await buildQuotationItems(items, customer, req.user);
+      quotation.items = revisedItems;
+      quotation.totalAmount = calculateTotal(quotation.items);
+    }
+    quotation.validUntil = resolveValidUntil(validUntil);
+    if (notes !== undefined) {
+      quotation.notes = notes;
+    }
+    quotation.revision += 1;
+    quotation.status = 'draft';
+
+    await quotation.save();
+    await PricingService.logOverrides(quotation, 'Quotation', revisedItems, req.user);
+    res.json(quotation);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update quotation status (sent, accepted, cancelled)
+router.patch('/:id/status', authenticate, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (!['sent', 'accepted', 'cancelled'].includes(status)) {
+      throw new Error('Invalid quotation status');
+    }
+
+    if (!quotation.isOpen()) {
+      throw new Error('Quotation is no longer open');
+    }
+
+    quotation.status = status;
+    await quotation.save();
+    res.json(quotation);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Download quotation as PDF
+router.get('/:id/pdf', authenticate, async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id)
+      .populate('customer', 'name phone email address state');
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    InvoiceService.streamQuotationPDF(res, quotation);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create a shareable link for the quotation
+router.post('/:id/share', authenticate, async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (!quotation.shareToken) {
+      quotation.shareToken = crypto.randomBytes(16).toString('hex');
+    }
+    if (quotation.status === 'draft') {
+      quotation.status = 'sent';
+    }
+    await quotation.save();
+
+    res.json({
+      shareToken: quotation.shareToken,
+      url: `/api/quotations/shared/${quotation.shareToken}`
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Convert quotation into a sale
+router.post('/:id/convert', authenticate, async (req, res) => {
+  try {
+    const { paymentType, tenders, creditDetails } = req.body;
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (!quotation.isOpen()) {
+      throw new Error('Only open quotations within their validity can be converted');
+    }
+
+    // Stock and credit are re-checked by the regular sale flow. The total is left to
+    // the sale, which may differ from the quote through promotions and rounding.
+    let converted;
+    const sale = await SaleService.createSale({
+      customerId: quotation.customer,
+      items: quotation.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        unit: item.unit,
+        price: item.price
+      })),
+      paymentType,
+      tenders,
+      creditDetails
+    }, req.user, {
+      quoted: true,
+      // Claimed in the sale's transaction so a quotation can't be converted twice
+      afterRecord: async (recorded, session) => {
+        converted = await Quotation.findOneAndUpdate(
+          { _id: quotation._id, status: { $in: OPEN_STATUSES }, validUntil: { $gte: new Date() } },
+          { $set: { status: 'converted', convertedSale: recorded._id, convertedAt: new Date() } },
+          { session, new: true }
+        );
+        if (!converted) {
+          throw new Error('Quotation is no longer open; it may already have been converted');
+        }
+      }
+    });
+
+    res.status(201).json({ quotation: converted, sale });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,231 @@
+import express from 'express';
+import Recall from '../models/Recall.js';
+import Product from '../models/Product.js';
+import Sale from '../models/Sale.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import NotificationService from '../services/NotificationService.js';
+
+const router = express.Router();
+
+// Find every sale and customer that received a recalled batch
+const findAffected = async (recall) => {
+  const sales = await Sale.find({
+    status: { $ne: 'cancelled' },
+    items: {
+      $elemMatch: {
+        product: recall.product,
+        'batches.batchNumber': recall.batchNumber
+      }
+    }
+  })
+    .populate('customer', 'name code phone email address')
+    .sort({ createdAt: -1 });
+
+  const customers = new Map();
+  const affectedSales = sales.map(sale => {
+    const quantity = sale.items
+      .filter(item => item.product.toString() === recall.product.toString())
+      .flatMap(item => item.batches)
+      .filter(batch => batch.batchNumber === recall.batchNumber)
+      .reduce((sum, batch) => sum + batch.quantity - (batch.returnedQuantity || 0), 0);
+
+    if (sale.customer) {
+      const entry = customers.get(sale.customer._id.toString())
+        || { customer: sale.customer, quantity: 0, sales: [] };
+      entry.quantity += quantity;
+      entry.sales.push(sale._id);
+      customers.set(sale.customer._id.toString(), entry);
+    }
+
+    return {
+      _id: sale._id,
+      invoiceNumber: sale.invoiceNumber,
+      date: sale.createdAt,
+      customer: sale.customer,
+      quantity
+    };
+  });
+
+  return {
+    sales: affectedSales,
+    customers: [...customers.values()].filter(entry => entry.quantity > 0)
+  };
+};
+
+// Get all recalls
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.productId) {
+      query.product = req.query.productId;
+    }
+
+    const recalls = await Recall.find(query)
+      .populate('product', 'name sku')
+      .select('-notifications')
+      .sort({ createdAt: -1 });
+
+    res.json(recalls);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Recall a product batch and block further sales of it
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const { productId, batchNumber, reason, manufacturerReference, instructions } = req.body;
+
+    if (!productId || !batchNumber || !reason) {
+      throw new Error('Missing required fields');
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // The same batch may be stocked at several locations
+    const batches = product.batches.filter(b => b.batchNumber === batchNumber);
+    if (batches.length === 0) {
+      throw new Error(`Batch ${batchNumber} not found for product ${product.name}`);
+    }
+
+    if (await Recall.exists({ product: product._id, batchNumber, status: 'active' })) {
+      throw new Error('This batch is already under an active recall');
+    }
+
+    batches.forEach(batch => { batch.recalled = true; });
+    await product.save();
+
+    const recall = await Recall.create({
+      product: product._id,
+      batchNumber,
+      reason,
+      manufacturerReference,
+      instructions,
+      createdBy: req.user.id
+    });
+
+    const affected = await findAffected(recall);
+    res.status(201).json({ recall, ...affected });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get recall by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const recall = await Recall.findById(req.params.id)
+      .populate('product', 'name sku')
+      .populate('notifications.customer', 'name phone email')
+      .populate('createdBy', 'name email');
+
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    res.json(recall);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// List every customer and sale that received the recalled batch
+router.get('/:id/affected', authenticate, async (req, res) => {
+  try {
+    const recall = await Recall.findById(req.params.id);
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    res.json(await findAffected(recall));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Notify all affected customers
+router.post('/:id/notify', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const recall = await Recall.findById(req.params.id);
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    if (recall.status !== 'active') {
+      throw new Error('Recall is closed');
+    }
+
+    const product = await Product.findById(recall.product).select('name sku');
+    const { customers } = await findAffected(recall);
+
+    const results = {
+      sent: [],
+      failed: [],
+      skipped: [],
+      alreadyNotified: []
+    };
+
+    // Notifying again only uses channels a customer hasn't been reached on yet.
+    // Each result is saved as it happens so a repeat after an error doesn't resend.
+    for (const { customer } of customers) {
+      const notified = recall.notifiedChannels(customer._id);
+      const deliveries = await NotificationService.sendRecallNotice(customer, recall, product, { skip: notified });
+
+      if (deliveries.length === 0) {
+        if (notified.length > 0) {
+          results.alreadyNotified.push(customer._id);
+        } else {
+          recall.notifications.push({ customer: customer._id, status: 'skipped' });
+          results.skipped.push(customer._id);
+          await recall.save();
+        }
+        continue;
+      }
+
+      const failed = deliveries.filter(delivery => delivery.status === 'failed');
+      recall.notifications.push({
+        customer: customer._id,
+        channels: deliveries.filter(delivery => delivery.status === 'sent').map(delivery => delivery.channel),
+        deliveries,
+        status: failed.length > 0 ? 'failed' : 'sent',
+        error: failed.map(delivery => `${delivery.channel}: ${delivery.error}`).join('; ') || undefined
+      });
+      if (failed.length > 0) {
+        results.failed.push({ customerId: customer._id, error: recall.notifications.at(-1).error });
+      } else {
+        results.sent.push(customer._id);
+      }
+      await recall.save();
+    }
+
+    res.json(results);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Close a recall once it has been handled
+router.patch('/:id/close', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const recall = await Recall.findById(req.params.id);
+    if (!recall) {
+      return res.status(404).json({ message: 'Recall not found' });
+    }
+
+    recall.status = 'closed';
+    recall.closedAt = new Date();
+    await recall.save();
+
+    res.json(recall);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -2,10 +2,12 @@ import express from 'express';
 import PDFDocument from 'pdfkit';
 import ExcelJS from 'exceljs';
 import { format } from 'date-fns';
-import { authenticate } from '../middleware/auth';
-import Customer from '../models/Customer';
-import Sale from '../models/Sale';
-import Payment from '../models/Payment';
+import { authenticate } from '../middleware/auth.js';
+import Customer from '../models/Customer.js';
+import Sale from '../models/Sale.js';
+import Payment from '../models/Payment.js';
+import SaleReturn from '../models/SaleReturn.js';
+import InterestCharge from '../models/InterestCharge.js';
 
 const router = express.Router();
 
@@ -42,6 +44,12 @@ router.post('/generate', async (req, res) => {
       case 'collection_performance':
         data = await generateCollectionPerformance(filter);
         break;
+      case 'sales_summary':
+        data = await generateSalesSummary(filter);
+        break;
+      case 'interest_summary':
+        data = await generateInterestSummary(filter);
+        break;
       default:
         throw new Error('Invalid report type');
     }
@@ -63,7 +71,7 @@ router.post('/generate', async (req, res) => {
   }
 });
 
-// Generate customer statements
+// Generate customer statements; interest is listed apart from sales and returns
 async function generateCustomerStatements(filter) {
   const customers = await Customer.find(filter);
   const statements = [];
@@ -71,9 +79,15 @@ async function generateCustomerStatements(filter) {
   for (const customer of customers) {
     const sales = await Sale.find({
       customer: customer._id,
-      paymentType: 'credit'
+      paymentType: { $in: ['credit', 'split'] }
     }).populate('payments');
 
+    const returns = await SaleReturn.find({
+      sale: { $in: sales.map(sale => sale._id) }
+    });
+
+    const interestEntries = await InterestCharge.find({ customer: customer._id }).sort({ createdAt: 1 });
+
     const statement = {
       customer: {
         name: customer.name,
@@ -82,19 +96,45 @@ async function generateCustomerStatements(filter) {
         creditLimit: customer.creditLimit,
         creditBalance: customer.creditBalance
       },
-      transactions: sales.map(sale => ({
-        date: sale.createdAt,
-        type: 'Sale',
-        amount: sale.totalAmount,
-        balance: sale.totalAmount - sale.paidAmount,
-        status: sale.status,
-        payments: sale.payments.map(payment => ({
-          date: payment.date,
-          amount: payment.amount,
-          method: payment.method,
-          reference: payment.reference
+      transactions: [
+        ...sales.map(sale => ({
+          date: sale.createdAt,
+          type: 'Sale',
+          amount: sale.totalAmount,
+          balance: sale.remainingBalance,
+          status: sale.status,
+          payments: sale.payments.map(payment => ({
+            date: payment.date,
+            amount: payment.amount,
+            method: payment.method,
+            reference: payment.reference
+          }))
+        })),
+        ...returns.map(saleReturn => ({
+          date: saleReturn.createdAt,
+          type: 'Return',
+          amount: -saleReturn.totalAmount,
+          balance: 0,
+          status: saleReturn.refund.status,
+          payments: []
         }))
-      }))
+      ].sort((a, b) => a.date - b.date),
+      interest: {
+        charged: sales.reduce((sum, sale) => sum + (sale.creditDetails?.interestCharged || 0), 0),
+        waived: sales.reduce((sum, sale) => sum + (sale.creditDetails?.interestWaived || 0), 0),
+        paid: sales.reduce((sum, sale) => sum + (sale.creditDetails?.interestPaid || 0), 0),
+        outstanding: sales.reduce((sum, sale) => sum + sale.interestBalance, 0),
+        entries: interestEntries.map(entry => ({
+          date: entry.createdAt,
+          type: entry.type === 'waiver' ? 'Interest Waiver' : 'Interest',
+          amount: entry.type === 'waiver' ? -entry.amount : entry.amount,
+          saleId: entry.sale,
+          installment: entry.installment,
+          periodStart: entry.periodStart,
+          periodEnd: entry.periodEnd,
+          reason: entry.reason
+        }))
+      }
     };
 
     statements.push(statement);
@@ -132,7 +172,7 @@ async function generateCreditAnalysis(filter) {
       paymentType: 'credit'
     }).populate('payments');
 
-    const totalCredit = sales.reduce((sum, sale) => sum + sale.totalAmount, 0);
+    const totalCredit = sales.reduce((sum, sale) => sum + sale.netAmount, 0);
     const totalPaid = sales.reduce((sum, sale) => sum + sale.paidAmount, 0);
     const averagePaymentTime = calculateAveragePaymentTime(sales);
 
@@ -151,12 +191,12 @@ async function generateCreditAnalysis(filter) {
   return analysis;
 }
 
-// Generate aging report
+// Generate aging report, one entry per outstanding installment
 async function generateAgingReport(filter) {
   const sales = await Sale.find({
     ...filter,
     status: 'pending',
-    paymentType: 'credit'
+    paymentType: { $in: ['credit', 'split'] }
   }).populate('customer');
 
   const aging = {
@@ -169,23 +209,28 @@ async function generateAgingReport(filter) {
 
   const now = new Date();
   for (const sale of sales) {
-    const daysOverdue = Math.floor(
-      (now - new Date(sale.creditDetails.dueDate)) / (1000 * 60 * 60 * 24)
-    );
-
-    const entry = {
-      customer: sale.customer.name,
-      saleId: sale._id,
-      amount: sale.totalAmount - sale.paidAmount,
-      dueDate: sale.creditDetails.dueDate,
-      daysOverdue
-    };
+    for (const installment of sale.outstandingInstallments()) {
+      const daysOverdue = Math.floor(
+        (now - new Date(installment.dueDate)) / (1000 * 60 * 60 * 24)
+      );
 
-    if (daysOverdue <= 0) aging.current.push(entry);
-    else if (daysOverdue <= 30) aging['30days'].push(entry);
-    else if (daysOverdue <= 60) aging['60days'].push(entry);
-    else if (daysOverdue <= 90) aging['90days'].push(entry);
-    else aging['over90days'].push(entry);
+      const entry = {
+        customer: sale.customer.name,
+        saleId: sale._id,
+        invoiceNumber: sale.invoiceNumber,
+        installment: installment.number,
+        label: installment.label,
+        amount: installment.outstanding,
+        dueDate: installment.dueDate,
+        daysOverdue
+      };
+
+      if (daysOverdue <= 0) aging.current.push(entry);
+      else if (daysOverdue <= 30) aging['30days'].push(entry);
+      else if (daysOverdue <= 60) aging['60days'].push(entry);
+      else if (daysOverdue <= 90) aging['90days'].push(entry);
+      else aging['over90days'].push(entry);
+    }
   }
 
   return aging;
@@ -214,7 +259,7 @@ async function generateCollectionPerformance(filter) {
       const lastPayment = sale.payments[sale.payments.length - 1];
       
       // Update total collected
-      performance.totalCollected += sale.totalAmount;
+      performance.totalCollected += sale.netAmount;
 
       // Update collection time
       const collectionDays = Math.floor(
@@ -232,7 +277,7 @@ async function generateCollectionPerformance(filter) {
       // Update monthly collections
       const monthKey = format(lastPayment.date, 'yyyy-MM');
       performance.monthlyCollections[monthKey] = 
-        (performance.monthlyCollections[monthKey] || 0) + sale.totalAmount;
+        (performance.monthlyCollections[monthKey] || 0) + sale.netAmount;
     }
   }
 
@@ -262,6 +307,72 @@ function calculateAveragePaymentTime(sales) {
   return count > 0 ? Math.round(totalDays / count) : 0;
 }
 
+// Generate sales summary: gross, promotional discounts and net
+async function generateSalesSummary(filter) {
+  const sales = await Sale.find({ ...filter, status: { $ne: 'cancelled' } });
+  const promotions = {};
+  const summary = {
+    salesCount: sales.length,
+    grossAmount: 0,
+    discountAmount: 0,
+    netAmount: 0,
+    returnedAmount: 0
+  };
+
+  sales.forEach(sale => {
+    summary.grossAmount += sale.grossAmount ?? sale.totalAmount;
+    summary.discountAmount += sale.discountAmount || 0;
+    summary.netAmount += sale.totalAmount;
+    summary.returnedAmount += sale.returnedAmount || 0;
+
+    sale.discounts.forEach(discount => {
+      if (!promotions[discount.code]) {
+        promotions[discount.code] = { code: discount.code, name: discount.name, type: discount.type, sales: 0, amount: 0 };
+      }
+      promotions[discount.code].sales += 1;
+      promotions[discount.code].amount += discount.amount;
+    });
+  });
+
+  return {
+    ...summary,
+    netOfReturns: summary.netAmount - summary.returnedAmount,
+    promotions: Object.values(promotions)
+  };
+}
+
+// Generate interest summary: interest charged and waived per customer
+async function generateInterestSummary(filter) {
+  const entries = await InterestCharge.find(filter)
+    .populate('customer', 'name code')
+    .populate('sale', 'invoiceNumber')
+    .sort({ createdAt: 1 });
+
+  const customers = {};
+  entries.forEach(entry => {
+    const key = String(entry.customer._id);
+    if (!customers[key]) {
+      customers[key] = { customer: entry.customer.name, charged: 0, waived: 0, entries: [] };
+    }
+    customers[key][entry.type === 'waiver' ? 'waived' : 'charged'] += entry.amount;
+    customers[key].entries.push({
+      date: entry.createdAt,
+      type: entry.type,
+      invoiceNumber: entry.sale?.invoiceNumber,
+      installment: entry.installment,
+      amount: entry.amount,
+      reason: entry.reason
+    });
+  });
+
+  const summary = Object.values(customers);
+  return {
+    totalCharged: summary.reduce((sum, customer) => sum + customer.charged, 0),
+    totalWaived: summary.reduce((sum, customer) => sum + customer.waived, 0),
+    customers: summary
+  };
+}
+
 // Generate PDF report
 async function generatePDF(res, type, data) {
   const doc = new PDFDocument();
@@ -290,6 +401,12 @@ async function generatePDF(res, type, data) {
     case 'collection_performance':
       generateCollectionPerformancePDF(doc, data);
       break;
+    case 'sales_summary':
+      generateSalesSummaryPDF(doc, data);
+      break;
+    case 'interest_summary':
+      generateInterestSummaryPDF(doc, data);
+      break;
   }
 
   doc.end();
@@ -317,6 +434,12 @@ async function generateExcel(res, type, data, isCsv) {
     case 'collection_performance':
       generateCollectionPerformanceExcel(worksheet, data);
       break;
+    case 'sales_summary':
+      generateSalesSummaryExcel(worksheet, data);
+      break;
+    case 'interest_summary':
+      generateInterestSummaryExcel(worksheet, data);
+      break;
   }
 
   // Set response headers
@@ -370,6 +493,16 @@ function generateCustomerStatementsPDF(doc, data) {
       }
       doc.moveDown();
     }
+
+    doc.fontSize(14).text('Interest');
+    doc.fontSize(12)
+      .text(`Charged: $${statement.interest.charged}`)
+      .text(`Waived: $${statement.interest.waived}`)
+      .text(`Paid: $${statement.interest.paid}`)
+      .text(`Outstanding: $${statement.interest.outstanding}`);
+    statement.interest.entries.forEach(entry => {
+      doc.text(`  - ${format(new Date(entry.date), 'yyyy-MM-dd')} ${entry.type}: $${entry.amount}`);
+    });
     doc.addPage();
   }
 }
@@ -413,6 +546,7 @@ function generateAgingReportPDF(doc, data) {
     data[category].forEach(entry => {
       doc.fontSize(12)
         .text(`Customer: ${entry.customer}`)
+        .text(`Invoice: ${entry.invoiceNumber || entry.saleId} (installment ${entry.installment})`)
         .text(`Amount: $${entry.amount}`)
         .text(`Due Date: ${format(new Date(entry.dueDate), 'yyyy-MM-dd')}`)
         .text(`Days Overdue: ${entry.daysOverdue}`)
@@ -440,6 +574,40 @@ function generateCollectionPerformancePDF(doc, data) {
   });
 }
 
+function generateSalesSummaryPDF(doc, data) {
+  doc.fontSize(14).text('Sales Summary');
+  doc.fontSize(12)
+    .text(`Sales: ${data.salesCount}`)
+    .text(`Gross Sales: $${data.grossAmount}`)
+    .text(`Promotional Discounts: $${data.discountAmount}`)
+    .text(`Net Sales: $${data.netAmount}`)
+    .text(`Returns: $${data.returnedAmount}`)
+    .text(`Net of Returns: $${data.netOfReturns}`)
+    .moveDown();
+
+  doc.fontSize(14).text('Discounts by Promotion');
+  data.promotions.forEach(promotion => {
+    doc.fontSize(12).text(`${promotion.code} - ${promotion.name}: $${promotion.amount} on ${promotion.sales} sales`);
+  });
+}
+
+function generateInterestSummaryPDF(doc, data) {
+  doc.fontSize(14).text('Interest Summary');
+  doc.fontSize(12)
+    .text(`Interest Charged: $${data.totalCharged}`)
+    .text(`Interest Waived: $${data.totalWaived}`)
+    .moveDown();
+
+  data.customers.forEach(customer => {
+    doc.fontSize(14).text(customer.customer);
+    doc.fontSize(12).text(`Charged: $${customer.charged}, Waived: $${customer.waived}`);
+    customer.entries.forEach(entry => {
+      doc.text(`  - ${format(new Date(entry.date), 'yyyy-MM-dd')} ${entry.type} on ${entry.invoiceNumber || 'sale'}: $${entry.amount}`);
+    });
+    doc.moveDown();
+  });
+}
+
 // Excel generation helpers
 function generateCustomerStatementsExcel(worksheet, data) {
   worksheet.columns = [
@@ -462,6 +630,17 @@ function generateCustomerStatementsExcel(worksheet, data) {
         status: transaction.status
       });
     });
+
+    statement.interest.entries.forEach(entry => {
+      worksheet.addRow({
+        customer: statement.customer.name,
+        date: format(new Date(entry.date), 'yyyy-MM-dd'),
+        type: entry.type,
+        amount: entry.amount,
+        balance: '',
+        status: entry.reason || ''
+      });
+    });
   });
 }
 
@@ -519,6 +698,8 @@ function generateAgingReportExcel(worksheet, data) {
   worksheet.columns = [
     { header: 'Category', key: 'category', width: 15 },
     { header: 'Customer', key: 'customer', width: 20 },
+    { header: 'Invoice', key: 'invoiceNumber', width: 20 },
+    { header: 'Installment', key: 'installment', width: 12 },
     { header: 'Amount', key: 'amount', width: 15 },
     { header: 'Due Date', key: 'dueDate', width: 15 },
     { header: 'Days Overdue', key: 'daysOverdue', width: 15 }
@@ -529,6 +710,8 @@ function generateAgingReportExcel(worksheet, data) {
       worksheet.addRow({
         category: formatReportTitle(category),
         customer: entry.customer,
+        invoiceNumber: entry.invoiceNumber || String(entry.saleId),
+        installment: entry.installment,
         amount: entry.amount,
         dueDate: format(new Date(entry.dueDate), 'yyyy-MM-dd'),
         daysOverdue: entry.daysOverdue
@@ -575,4 +758,54 @@ function generateCollectionPerformanceExcel(worksheet, data) {
   });
 }
 
+function generateSalesSummaryExcel(worksheet, data) {
+  worksheet.columns = [
+    { header: 'Metric', key: 'metric', width: 30 },
+    { header: 'Value', key: 'value', width: 20 }
+  ];
+
+  worksheet.addRow({ metric: 'Sales', value: data.salesCount });
+  worksheet.addRow({ metric: 'Gross Sales', value: data.grossAmount });
+  worksheet.addRow({ metric: 'Promotional Discounts', value: data.discountAmount });
+  worksheet.addRow({ metric: 'Net Sales', value: data.netAmount });
+  worksheet.addRow({ metric: 'Returns', value: data.returnedAmount });
+  worksheet.addRow({ metric: 'Net of Returns', value: data.netOfReturns });
+
+  worksheet.addRow({ metric: '', value: '' });
+  worksheet.addRow({ metric: 'Discounts by Promotion', value: '' });
+
+  data.promotions.forEach(promotion => {
+    worksheet.addRow({
+      metric: `${promotion.code} - ${promotion.name}`,
+      value: promotion.amount
+    });
+  });
+}
+
+function generateInterestSummaryExcel(worksheet, data) {
+  worksheet.columns = [
+    { header: 'Customer', key: 'customer', width: 20 },
+    { header: 'Date', key: 'date', width: 15 },
+    { header: 'Type', key: 'type', width: 10 },
+    { header: 'Invoice', key: 'invoiceNumber', width: 20 },
+    { header: 'Installment', key: 'installment', width: 12 },
+    { header: 'Amount', key: 'amount', width: 15 },
+    { header: 'Reason', key: 'reason', width: 30 }
+  ];
+
+  data.customers.forEach(customer => {
+    customer.entries.forEach(entry => {
+      worksheet.addRow({
+        customer: customer.customer,
+        date: format(new Date(entry.date), 'yyyy-MM-dd'),
+        type: entry.type,
+        invoiceNumber: entry.invoiceNumber,
+        installment: entry.installment,
+        amount: entry.amount,
+        reason: entry.reason
+      });
+    });
+  });
+}
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,319 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import SaleReturn, { RETURN_REASONS, REFUND_METHODS } from '../models/SaleReturn.js';
+import Sale from '../models/Sale.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import Payment from '../models/Payment.js';
+import { authenticate } from '../middleware/auth.js';
+import RazorpayService from '../services/RazorpayService.js';
+import InventoryService from '../services/InventoryService.js';
+import { roundCurrency } from '../utils/gst.js';
+import { roundQuantity } from '../utils/units.js';
+
+const router = express.Router();
+
+// Find the Razorpay payment id to refund against for a sale
+const findRazorpayPaymentId = async (sale, session) => {
+  if (sale.paymentDetails?.transactionId) {
+    return sale.paymentDetails.transactionId;
+  }
+
+  const payment = await Payment.findOne({
+    sale: sale._id,
+    method: 'razorpay',
+    status: 'completed'
+  }).session(session);
+
+  return payment?.reference;
+};
+
+const RAZORPAY_REFUND_STATUSES = { processed: 'completed', failed: 'failed' };
+
+// Send a Razorpay refund for a committed return and record the outcome on it.
+// The return id is the refund's receipt, so retrying never refunds twice.
+const sendRazorpayRefund = async (saleReturn, paymentId) => {
+  try {
+    const amount = roundCurrency(saleReturn.refund.amount - (saleReturn.refund.creditAdjusted || 0));
+    const razorpayRefund = await RazorpayService.refundPayment(paymentId, amount, {
+      saleId: saleReturn.sale.toString(),
+      returnId: saleReturn._id.toString()
+    }, saleReturn._id.toString());
+
+    saleReturn.refund.reference = razorpayRefund.id;
+    saleReturn.refund.status = RAZORPAY_REFUND_STATUSES[razorpayRefund.status] || 'pending';
+  } catch (error) {
+    saleReturn.refund.status = 'failed';
+  }
+
+  await saleReturn.save();
+  return saleReturn;
+};
+
+// Create a return against a sale
+router.post('/', authenticate, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { saleId, items, reason, refundMethod, refundReference, notes } = req.body;
+
+    if (!saleId) {
+      throw new Error('Missing required fields');
+    }
+
+    const sale = await Sale.findById(saleId).session(session);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    if (sale.status === 'cancelled') {
+      throw new Error('Cannot return items from a cancelled sale');
+    }
+
+    // Without items the whole remaining sale is returned
+    const requestedItems = items?.length > 0
+      ? items
+      : sale.items
+        .filter(item => sale.returnableQuantity(item._id) > 0)
+        .map(item => ({ itemId: item._id, quantity: sale.returnableQuantity(item._id) }));
+
+    if (requestedItems.length === 0) {
+      throw new Error('Nothing left to return on this sale');
+    }
+
+    const returnItems = [];
+    for (const requested of requestedItems) {
+      const saleItem = requested.itemId
+        ? sale.items.id(requested.itemId)
+        : sale.items.find(item => item.product.toString() === requested.product?.toString());
+
+      if (!saleItem) {
+        throw new Error(`Item ${requested.itemId || requested.product} is not part of this sale`);
+      }
+
+      const quantity = Number(requested.quantity);
+      if (!quantity || quantity <= 0) {
+        throw new Error(`Invalid return quantity for ${saleItem.name}`);
+      }
+
+      if (quantity > sale.returnableQuantity(saleItem._id)) {
+        throw new Error(`Return quantity for ${saleItem.name} exceeds quantity sold`);
+      }
+
+      const itemReason = requested.reason || reason;
+      if (!RETURN_REASONS.includes(itemReason)) {
+        throw new Error(`Invalid return reason for ${saleItem.name}`);
+      }
+
+      returnItems.push({
+        saleItem: saleItem._id,
+        product: saleItem.product,
+        name: saleItem.name,
+        quantity,
+        unit: saleItem.unit,
+        baseQuantity: roundQuantity(quantity * (saleItem.conversionFactor || 1)),
+        price: saleItem.price,
+        // Refunds are at the discounted price the customer actually paid
+        amount: roundCurrency(
+          (saleItem.price - (saleItem.discount || 0) / saleItem.quantity) * quantity
+        ),
+        reason: itemReason
+      });
+    }
+
+    const totalAmount = roundCurrency(returnItems.reduce((sum, item) => sum + item.amount, 0));
+
+    // Returns come off what is still owed on credit first; only the rest, which the
+    // customer actually paid, is refunded by cash or Razorpay
+    const creditAdjusted = sale.creditPortion > 0 ? roundCurrency(Math.min(totalAmount, sale.remainingBalance)) : 0;
+    const refundDue = roundCurrency(totalAmount - creditAdjusted);
+    const method = refundDue > 0 ? refundMethod || 'cash' : 'credit_adjustment';
+
+    if (!REFUND_METHODS.includes(method)) {
+      throw new Error('Invalid refund method');
+    }
+
+    if (method === 'credit_adjustment' && refundDue > 0) {
+      throw new Error('Return amount exceeds outstanding credit; refund the rest by cash or Razorpay instead');
+    }
+
+    // Allocated up front so stock movements can reference the return
+    const returnId = new mongoose.Types.ObjectId();
+
+    // Returned goods go back where they were picked unless another location is named
+    const location = await InventoryService.resolveLocation(req.body.locationId || sale.location, session);
+
+    // Restore product stock
+    for (const item of returnItems) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product) {
+        throw new Error(`Product ${item.product} not found`);
+      }
+
+      const batches = sale.markReturned(item.saleItem, item.quantity);
+      await InventoryService.restore(product, item.baseQuantity, batches, {
+        type: 'return',
+        reference: returnId,
+        referenceModel: 'SaleReturn',
+        user: req.user.id,
+        notes: `Return against sale ${sale.invoiceNumber || sale._id}`,
+        location,
+        session
+      });
+    }
+
+    // Settle the refund. Razorpay refunds are sent once the return is committed.
+    const refund = {
+      method,
+      amount: totalAmount,
+      creditAdjusted,
+      reference: refundReference,
+      status: method === 'razorpay' ? 'pending' : 'completed'
+    };
+
+    let razorpayPaymentId;
+    if (method === 'razorpay') {
+      razorpayPaymentId = await findRazorpayPaymentId(sale, session);
+      if (!razorpayPaymentId) {
+        throw new Error('No Razorpay payment found for this sale');
+      }
+    }
+
+    if (creditAdjusted > 0) {
+      const customer = await Customer.findById(sale.customer).session(session);
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      customer.creditBalance = Math.max(0, roundCurrency(customer.creditBalance - creditAdjusted));
+      await customer.save({ session });
+      sale.creditReturned = roundCurrency((sale.creditReturned || 0) + creditAdjusted);
+    }
+
+    sale.returnedAmount = (sale.returnedAmount || 0) + totalAmount;
+    sale.returnStatus = sale.items.every(item => item.returnedQuantity >= item.quantity)
+      ? 'full'
+      : 'partial';
+
+    if (sale.creditPortion > 0 && sale.remainingBalance <= 0
+      && !sale.tenders.some(tender => tender.status === 'pending')) {
+      sale.status = 'completed';
+    }
+    await sale.save({ session });
+
+    const [saleReturn] = await SaleReturn.create([{
+      _id: returnId,
+      sale: sale._id,
+      customer: sale.customer,
+      items: returnItems,
+      totalAmount,
+      refund,
+      notes,
+      createdBy: req.user.id
+    }], { session });
+
+    await session.commitTransaction();
+
+    // Money only goes out once the return exists; a failed refund is retried below
+    if (method === 'razorpay') {
+      await sendRazorpayRefund(saleReturn, razorpayPaymentId);
+    }
+
+    res.status(201).json(saleReturn);
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Retry a Razorpay refund that is pending or failed
+router.post('/:id/refund', authenticate, async (req, res) => {
+  try {
+    const saleReturn = await SaleReturn.findById(req.params.id);
+
+    if (!saleReturn) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+
+    if (saleReturn.refund.method !== 'razorpay' || saleReturn.refund.status === 'completed') {
+      throw new Error('Return has no outstanding Razorpay refund');
+    }
+
+    const sale = await Sale.findById(saleReturn.sale);
+    const paymentId = sale && await findRazorpayPaymentId(sale);
+    if (!paymentId) {
+      throw new Error('No Razorpay payment found for this sale');
+    }
+
+    res.json(await sendRazorpayRefund(saleReturn, paymentId));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get all returns with pagination and filters
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+
+    const query = {};
+    if (startDate && endDate) {
+      query.createdAt = { $gte: startDate, $lte: endDate };
+    }
+    if (req.query.saleId) {
+      query.sale = req.query.saleId;
+    }
+    if (req.query.customerId) {
+      query.customer = req.query.customerId;
+    }
+    if (req.query.reason) {
+      query['items.reason'] = req.query.reason;
+    }
+
+    const total = await SaleReturn.countDocuments(query);
+    const returns = await SaleReturn.find(query)
+      .populate('customer', 'name email phone')
+      .populate('sale', 'totalAmount paymentType createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      returns,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get return by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const saleReturn = await SaleReturn.findById(req.params.id)
+      .populate('customer', 'name email phone')
+      .populate('sale')
+      .populate('items.product', 'name sku price')
+      .populate('createdBy', 'name email');
+
+    if (!saleReturn) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+
+    res.json(saleReturn);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -1,99 +1,56 @@
 import express from 'express';
 import Sale from '../models/Sale.js';
-import Product from '../models/Product.js';
 import Customer from '../models/Customer.js';
+import SaleReturn from '../models/SaleReturn.js';
+import Payment from '../models/Payment.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 import RazorpayService from '../services/RazorpayService.js';
-import NotificationService from '../services/NotificationService.js';
+import InvoiceService from '../services/InvoiceService.js';
+import ReceiptService from '../services/ReceiptService.js';
+import SaleService from '../services/SaleService.js';
+import InterestService from '../services/InterestService.js';
+import InterestCharge from '../models/InterestCharge.js';
+import AuditLog from '../models/AuditLog.js';
+import SaleRevision from '../models/SaleRevision.js';
 import qrcode from 'qrcode';
+import { roundCurrency } from '../utils/gst.js';
+import { upiPayee } from '../utils/upi.js';
+import ExportService, { SALE_EXPORT_COLUMNS } from '../services/ExportService.js';
 
 const router = express.Router();
 
+// Filters shared by the sales list and its export
+const listQuery = ({ startDate, endDate, paymentType, status, voidStatus }) => {
+  const query = {};
+  if (startDate && endDate) {
+    query.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+  }
+  if (paymentType) {
+    query.paymentType = paymentType;
+  }
+  if (status) {
+    query.status = status;
+  }
+  if (voidStatus) {
+    query['voidDetails.status'] = voidStatus;
+  }
+  return query;
+};
+
+// Reopening a void sale would bring it back without its stock, credit or payments
+const checkNotVoid = (sale) => {
+  if (sale.status === 'cancelled' || sale.voidDetails?.status === 'voided') {
+    throw new Error('A void sale cannot be reopened');
+  }
+};
+
 // Create new sale
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { customerId, items, paymentType, creditDetails, totalAmount } = req.body;
-
-    if (!customerId || !items || !paymentType || !totalAmount) {
-      throw new Error('Missing required fields');
-    }
-
-    // Validate customer for credit sale
-    if (paymentType === 'credit') {
-      const customer = await Customer.findById(customerId);
-      if (!customer) {
-        throw new Error('Customer not found');
-      }
-
-      if (!customer.canMakeCreditPurchase(totalAmount)) {
-        throw new Error('Credit limit exceeded');
-      }
-    }
-
-    // Check and update product stock
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        throw new Error(`Product ${item.product} not found`);
-      }
-      if (product.quantity < item.quantity) {
-        throw new Error(`Insufficient stock for product ${product.name}`);
-      }
-      
-      product.quantity -= item.quantity;
-      await product.save();
-    }
-
-    // Create sale
-    const sale = await Sale.create({
-      customer: customerId,
-      items,
-      paymentType,
-      totalAmount,
-      creditDetails: paymentType === 'credit' ? creditDetails : undefined,
-      createdBy: req.user.id,
-      status: paymentType === 'credit' ? 'pending' : 'completed'
-    });
-
-    // Update customer credit if credit sale
-    if (paymentType === 'credit') {
-      const customer = await Customer.findById(customerId);
-      customer.currentCredit += totalAmount;
-      customer.paymentHistory.push({
-        saleId: sale._id,
-        amount: totalAmount,
-        date: new Date(),
-        status: 'pending'
-      });
-      await customer.save();
-
-      // Send notification using NotificationService
-      if (customer.phone || customer.email) {
-        await NotificationService.sendPaymentReminder(
-          customer,
-          sale,
-          Math.ceil((new Date(creditDetails.dueDate) - new Date()) / (1000 * 60 * 60 * 24))
-        );
-      }
-    }
-
-    res.status(201).json(sale);
+    const sale = await SaleService.createSale(req.body, req.user);
+    res.status(201).json({ ...sale.toJSON(), breakdown: sale.breakdown() });
   } catch (error) {
-    // If there's an error, we should try to rollback the product quantity changes
-    try {
-      if (error.message !== 'Customer not found' && error.message !== 'Credit limit exceeded') {
-        for (const item of req.body.items) {
-          const product = await Product.findById(item.product);
-          if (product) {
-            product.quantity += item.quantity;
-            await product.save();
-          }
-        }
-      }
-    } catch (rollbackError) {
-      console.error('Error during rollback:', rollbackError);
-    }
     res.status(400).json({ message: error.message });
   }
 });
@@ -103,21 +60,8 @@ router.get('/', authenticate, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
-    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
-    const paymentType = req.query.paymentType;
-    const status = req.query.status;
 
-    const query = {};
-    if (startDate && endDate) {
-      query.createdAt = { $gte: startDate, $lte: endDate };
-    }
-    if (paymentType) {
-      query.paymentType = paymentType;
-    }
-    if (status) {
-      query.status = status;
-    }
+    const query = listQuery(req.query);
 
     const total = await Sale.countDocuments(query);
     const sales = await Sale.find(query)
@@ -138,20 +82,39 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
-// Process credit payment
+// Export sales matching the list filters as CSV, XLSX or JSON, one row per invoice
+router.get('/export', authenticate, async (req, res) => {
+  try {
+    const query = Sale.find(listQuery(req.query))
+      .select('-items.batches')
+      .populate('customer', 'name code')
+      .sort({ createdAt: -1, _id: -1 });
+
+    await ExportService.stream(res, query, {
+      columns: SALE_EXPORT_COLUMNS,
+      format: req.query.format,
+      name: 'sales'
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Process credit payment; it settles installments in order of due date
 router.post('/:id/credit-payment', authenticate, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { amount } = req.body;
+    const amount = roundCurrency(Number(req.body.amount));
+    const method = req.body.method || 'cash';
     const sale = await Sale.findById(req.params.id).session(session);
     
     if (!sale) {
       throw new Error('Sale not found');
     }
 
-    if (sale.paymentType !== 'credit') {
+    if (!sale.creditPortion) {
       throw new Error('This is not a credit sale');
     }
 
@@ -160,33 +123,34 @@ router.post('/:id/credit-payment', authenticate, async (req, res) => {
       throw new Error('Customer not found');
     }
 
-    // Process payment
-    const payment = {
-      amount,
-      date: new Date(),
-      status: 'paid'
-    };
-
-    // Update sale
-    sale.creditDetails.remainingAmount -= amount;
-    if (sale.creditDetails.remainingAmount <= 0) {
-      sale.status = 'completed';
-    }
-    await sale.save({ session });
+    await sale.processPayment(amount, { session });
 
     // Update customer
-    customer.currentCredit -= amount;
-    const paymentHistoryIndex = customer.paymentHistory.findIndex(
-      ph => ph.saleId.toString() === sale._id.toString()
+    customer.creditBalance = Math.max(0, roundCurrency(customer.creditBalance - amount));
+    const creditEntry = customer.paymentHistory.find(
+      entry => entry.saleId?.equals(sale._id) && entry.method === 'credit'
     );
-    if (paymentHistoryIndex !== -1) {
-      customer.paymentHistory[paymentHistoryIndex].status = 
-        sale.creditDetails.remainingAmount <= 0 ? 'paid' : 'partially_paid';
+    if (creditEntry && sale.status === 'completed') {
+      creditEntry.status = 'completed';
     }
     await customer.save({ session });
 
+    await Payment.create([{
+      sale: sale._id,
+      customer: customer._id,
+      amount,
+      method,
+      reference: req.body.reference,
+      notes: 'Credit repayment'
+    }], { session });
+
     await session.commitTransaction();
-    res.json({ message: 'Payment processed successfully', sale });
+    res.json({
+      message: 'Payment processed successfully',
+      sale,
+      installments: sale.outstandingInstallments(),
+      interestBalance: sale.interestBalance
+    });
   } catch (error) {
     await session.abortTransaction();
     res.status(400).json({ message: error.message });
@@ -195,6 +159,54 @@ router.post('/:id/credit-payment', authenticate, async (req, res) => {
   }
 });
 
+// Post interest accrued on overdue credit now, instead of waiting for the nightly job
+router.post('/interest/accrue', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const result = await InterestService.postInterest(req.body.asOf ? new Date(req.body.asOf) : new Date());
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get interest charged and waived on a credit sale
+router.get('/:id/interest', authenticate, async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const entries = await InterestCharge.find({ sale: sale._id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      interestRate: sale.creditDetails?.interestRate || 0,
+      interestMethod: sale.creditDetails?.interestMethod,
+      interestPeriod: sale.creditDetails?.interestPeriod,
+      graceDays: sale.creditDetails?.graceDays || 0,
+      interestCharged: sale.creditDetails?.interestCharged || 0,
+      interestWaived: sale.creditDetails?.interestWaived || 0,
+      interestPaid: sale.creditDetails?.interestPaid || 0,
+      interestBalance: sale.interestBalance,
+      entries
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Waive interest on a credit sale
+router.post('/:id/interest/waive', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const sale = await InterestService.waive(req.params.id, req.body, req.user);
+    res.json({ message: 'Interest waived successfully', sale, interestBalance: sale.interestBalance });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Process cash payment
 router.post('/:id/cash-payment', authenticate, async (req, res) => {
   try {
@@ -204,6 +216,16 @@ router.post('/:id/cash-payment', authenticate, async (req, res) => {
       throw new Error('Sale not found');
     }
 
+    checkNotVoid(sale);
+
+    // Credit and pending tenders are settled through their own routes, which record the money
+    if (sale.dueAmount > 0) {
+      throw new Error('Sale has an outstanding credit balance; record it with POST /api/sales/:id/credit-payment');
+    }
+    if (sale.tenders.some(tender => tender.status === 'pending')) {
+      throw new Error('Sale has pending tenders; confirm them with POST /api/sales/:id/tenders/:tenderId/confirm');
+    }
+
     // Update sale with cash payment details
     sale.paymentDetails = {
       method: 'cash',
@@ -229,6 +251,8 @@ router.post('/:id/verify-payment', authenticate, async (req, res) => {
       throw new Error('Sale not found');
     }
 
+    checkNotVoid(sale);
+
     // Verify payment signature
     const isValid = await RazorpayService.verifyPayment(
       razorpay_payment_id,
@@ -275,6 +299,71 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Download printable GST tax invoice
+router.get('/:id/invoice', authenticate, async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id)
+      .populate('customer', 'name code phone email address state gstin');
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    if (!sale.invoiceNumber) {
+      return res.status(400).json({ message: 'No tax invoice has been issued for this sale' });
+    }
+
+    InvoiceService.streamInvoicePDF(res, sale);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get a receipt for the counter's thermal printer (format=escpos|text, paper=58|80).
+// Unpaid UPI gets a QR to scan, under the same reference as /:id/generate-qr.
+router.get('/:id/receipt', authenticate, async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id)
+      .populate('customer', 'name code phone');
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const receiptFormat = req.query.format || 'escpos';
+    const paper = parseInt(req.query.paper) || 80;
+    const upi = SaleService.upiDue(sale) > 0
+      ? await SaleService.requestUpiPayment(sale, { reuseReference: true })
+      : undefined;
+
+    const receipt = ReceiptService.render(sale, { format: receiptFormat, paper, upi });
+    const fileName = (sale.invoiceNumber || String(sale._id)).replace(/\//g, '-');
+
+    if (receiptFormat === 'escpos') {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}.bin`);
+    } else {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    }
+    res.send(receipt);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get returns made against a sale
+router.get('/:id/returns', authenticate, async (req, res) => {
+  try {
+    const returns = await SaleReturn.find({ sale: req.params.id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(returns);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Get all sales with pagination and search
 router.get('/search', authenticate, async (req, res) => {
   try {
@@ -313,7 +402,7 @@ router.get('/search', authenticate, async (req, res) => {
   }
 });
 
-// Update sale status (e.g., mark credit sale as paid)
+// Update sale status; credit sales complete once their balance is paid
 router.patch('/:id/status', authenticate, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -330,13 +419,17 @@ router.patch('/:id/status', authenticate, async (req, res) => {
       throw new Error('Sale is already in this status');
     }
 
-    // If marking a credit sale as completed (paid)
-    if (status === 'completed' && sale.paymentType === 'credit') {
-      await Customer.findByIdAndUpdate(
-        sale.customer._id,
-        { $inc: { creditBalance: -sale.totalAmount } },
-        { session }
-      );
+    // Cancelling has to reverse stock, credit and payments
+    if (status === 'cancelled') {
+      throw new Error('Use POST /api/sales/:id/void to cancel a sale');
+    }
+
+    checkNotVoid(sale);
+
+    // Credit is settled through credit-payment, which pays off installments and interest
+    // and completes the sale once nothing is owed
+    if (status === 'completed' && sale.dueAmount > 0) {
+      throw new Error('Sale has an outstanding credit balance; record it with POST /api/sales/:id/credit-payment');
     }
 
     sale.status = status;
@@ -352,13 +445,117 @@ router.patch('/:id/status', authenticate, async (req, res) => {
   }
 });
 
+// Void a sale; a completed sale needs an admin, so staff only request it
+router.post('/:id/void', authenticate, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const sale = await Sale.findById(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    if (sale.status === 'completed' && req.user.role !== 'admin') {
+      const requested = await SaleService.requestVoid(sale, reason, req.user);
+      return res.status(202).json({ message: 'Void request sent for approval', sale: requested });
+    }
+
+    const voided = await SaleService.voidSale(sale._id, reason, req.user);
+    res.json({ message: 'Sale voided successfully', sale: voided, refundAmount: voided.voidDetails.refundAmount });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Approve a requested void
+router.post('/:id/void/approve', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    if (sale.voidDetails?.status !== 'requested') {
+      throw new Error('There is no void request awaiting approval for this sale');
+    }
+
+    const voided = await SaleService.voidSale(sale._id, sale.voidDetails.reason, req.user);
+    res.json({ message: 'Sale voided successfully', sale: voided, refundAmount: voided.voidDetails.refundAmount });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get the audit trail of a sale (price overrides, void requests and voids)
+router.get('/:id/audit', authenticate, async (req, res) => {
+  try {
+    const entries = await AuditLog.find({ entity: req.params.id, entityModel: 'Sale' })
+      .populate('user', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Amend a sale's items or tenders; stock and credit are adjusted by the difference
+router.post('/:id/amend', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    if (!await Sale.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const sale = await SaleService.amendSale(req.params.id, req.body, req.user);
+    res.json({ ...sale.toJSON(), breakdown: sale.breakdown() });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get a sale's earlier revisions, oldest first
+router.get('/:id/revisions', authenticate, async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id).select('revision');
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const revisions = await SaleRevision.find({ sale: sale._id })
+      .populate('amendedBy', 'name email')
+      .sort({ revision: 1 });
+
+    res.json({ currentRevision: sale.revision, revisions });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Reject a requested void
+router.post('/:id/void/reject', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const rejected = await SaleService.rejectVoid(sale, req.body.notes, req.user);
+    res.json({ message: 'Void request rejected', sale: rejected });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Get sales statistics
 router.get('/stats/summary', authenticate, async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const [todaySales, pendingCredit, topProducts] = await Promise.all([
+    const [todaySales, todayReturns, pendingCredit, topProducts] = await Promise.all([
       // Get today's total sales
       Sale.aggregate([
         {
@@ -367,6 +564,20 @@ router.get('/stats/summary', authenticate, async (req, res) => {
             status: 'completed'
           }
         },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: '$totalAmount' },
+            beforeDiscounts: { $sum: { $ifNull: ['$grossAmount', '$totalAmount'] } },
+            discounts: { $sum: { $ifNull: ['$discountAmount', 0] } },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+
+      // Get today's returns
+      SaleReturn.aggregate([
+        { $match: { createdAt: { $gte: today } } },
         {
           $group: {
             _id: null,
@@ -380,27 +591,47 @@ router.get('/stats/summary', authenticate, async (req, res) => {
       Sale.aggregate([
         {
           $match: {
-            paymentType: 'credit',
+            paymentType: { $in: ['credit', 'split'] },
             status: 'pending'
           }
         },
         {
           $group: {
             _id: null,
-            total: { $sum: '$totalAmount' }
+            // Only the credit portion of a split sale is outstanding
+            total: {
+              $sum: {
+                $cond: [
+                  { $eq: ['$paymentType', 'credit'] },
+                  { $subtract: ['$totalAmount', { $ifNull: ['$returnedAmount', 0] }] },
+                  '$creditAmount'
+                ]
+              }
+            }
           }
         }
       ]),
 
-      // Get top selling products
+      // Get top selling products, net of returned quantities, in base units
       Sale.aggregate([
         { $unwind: '$items' },
+        {
+          $project: {
+            product: '$items.product',
+            name: '$items.name',
+            price: '$items.price',
+            conversionFactor: { $ifNull: ['$items.conversionFactor', 1] },
+            quantity: {
+              $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }]
+            }
+          }
+        },
         {
           $group: {
-            _id: '$items.product',
-            name: { $first: '$items.name' },
-            totalQuantity: { $sum: '$items.quantity' },
-            totalAmount: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+            _id: '$product',
+            name: { $first: '$name' },
+            totalQuantity: { $sum: { $multiply: ['$quantity', '$conversionFactor'] } },
+            totalAmount: { $sum: { $multiply: ['$price', '$quantity'] } }
           }
         },
         { $sort: { totalQuantity: -1 } },
@@ -408,8 +639,16 @@ router.get('/stats/summary', authenticate, async (req, res) => {
       ])
     ]);
 
+    const grossSales = todaySales[0]?.total || 0;
+    const returnsTotal = todayReturns[0]?.total || 0;
+
     res.json({
-      todaySales: todaySales[0]?.total || 0,
+      todaySales: grossSales - returnsTotal,
+      grossSales,
+      salesBeforeDiscounts: todaySales[0]?.beforeDiscounts || 0,
+      todayDiscounts: todaySales[0]?.discounts || 0,
+      todayReturns: returnsTotal,
+      returnsCount: todayReturns[0]?.count || 0,
       salesCount: todaySales[0]?.count || 0,
       pendingCredit: pendingCredit[0]?.total || 0,
       topProducts
@@ -428,31 +667,8 @@ router.post('/:id/generate-qr', authenticate, async (req, res) => {
       throw new Error('Sale not found');
     }
 
-    // Generate a unique payment reference
-    const paymentRef = `PAY-${sale._id}-${Date.now()}`;
-
-    // Update sale with payment reference
-    sale.paymentDetails = {
-      method: 'qr',
-      reference: paymentRef,
-      status: 'pending'
-    };
-    await sale.save();
-
-    // Get UPI details from environment variables
-    const upiId = process.env.UPI_ID || '9876543210@ybl'; // Your UPI ID
-    const merchantName = process.env.MERCHANT_NAME || 'AgroFlow';
-
-    // Format the amount properly (remove any currency symbols, commas and ensure 2 decimal places)
-    const formattedAmount = Number(sale.totalAmount).toFixed(2);
-
-    // Create UPI payment string
-    const upiString = `upi://pay?pa=${encodeURIComponent(upiId)}`
-      + `&pn=${encodeURIComponent(merchantName)}`
-      + `&am=${formattedAmount}`
-      + `&tr=${encodeURIComponent(paymentRef)}`
-      + `&tn=${encodeURIComponent(`Payment for sale #${sale._id}`)}`
-      + `&cu=INR`; // Currency
+    const { amount, reference, upiString } = await SaleService.requestUpiPayment(sale);
+    const { upiId, merchantName } = upiPayee();
 
     // Generate QR code
     const qrCodeData = await qrcode.toDataURL(upiString, {
@@ -469,8 +685,8 @@ router.post('/:id/generate-qr', authenticate, async (req, res) => {
       qrData: qrCodeData,
       upiString, // Sending the UPI string for direct UPI app opening
       paymentDetails: {
-        amount: formattedAmount,
-        reference: paymentRef,
+        amount: amount.toFixed(2),
+        reference,
         merchantName,
         upiId
       }
@@ -491,10 +707,62 @@ router.get('/:id/verify-payment', authenticate, async (req, res) => {
 
     // Here you would typically check with your payment provider
     // For now, we'll just return the current status
-    res.json({ status: sale.paymentDetails?.status || 'pending' });
+    res.json({
+      status: sale.paymentDetails?.status || 'pending',
+      tenders: sale.tenders.filter(tender => tender.method === 'upi')
+    });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Confirm a pending tender (e.g. a UPI payment) once the money is received
+router.post('/:id/tenders/:tenderId/confirm', authenticate, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { transactionId } = req.body;
+    const sale = await Sale.findById(req.params.id).session(session);
+
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    const tender = sale.tenders.id(req.params.tenderId);
+    if (!tender) {
+      throw new Error('Tender not found');
+    }
+
+    if (tender.status !== 'pending') {
+      throw new Error(`Tender is already ${tender.status}`);
+    }
+
+    tender.status = 'completed';
+    tender.transactionId = transactionId;
+
+    // The QR payment is complete once no UPI tender is left pending
+    if (!sale.tenders.some(line => line.method === 'upi' && line.status === 'pending')) {
+      sale.paymentDetails.status = 'completed';
+      sale.paymentDetails.transactionId = transactionId;
+      sale.paymentDetails.recordedAt = new Date();
+    }
+    await sale.save({ session });
+
+    await Payment.findByIdAndUpdate(
+      tender.payment,
+      { $set: { status: 'completed', reference: tender.reference || transactionId } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    res.json({ message: 'Payment confirmed successfully', sale });
+  } catch (error) {
+    await session.abortTransaction();
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import StockTransfer from '../models/StockTransfer.js';
+import Product from '../models/Product.js';
+import Location from '../models/Location.js';
+import Counter from '../models/Counter.js';
+import { authenticate } from '../middleware/auth.js';
+import InventoryService from '../services/InventoryService.js';
+import { getFinancialYear } from '../utils/gst.js';
+
+const router = express.Router();
+
+// Resolve transfer items against the catalogue
+const buildTransferItems = async (items) => {
+  if (!items || items.length === 0) {
+    throw new Error('Transfer must have at least one item');
+  }
+
+  const transferItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new Error(`Product ${item.product} not found`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!quantity || quantity <= 0) {
+      throw new Error(`Invalid transfer quantity for ${product.name}`);
+    }
+
+    transferItems.push({
+      product: product._id,
+      name: product.name,
+      quantity,
+      batchNumber: item.batchNumber
+    });
+  }
+
+  return transferItems;
+};
+
+// Get all stock transfers with pagination and filters
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.location) {
+      query.$or = [{ from: req.query.location }, { to: req.query.location }];
+    }
+
+    const total = await StockTransfer.countDocuments(query);
+    const transfers = await StockTransfer.find(query)
+      .populate('from', 'name code')
+      .populate('to', 'name code')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      transfers,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Create new stock transfer (pending until completed)
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { fromLocationId, toLocationId, items, notes } = req.body;
+
+    const [from, to] = await Promise.all([
+      Location.findById(fromLocationId),
+      Location.findById(toLocationId)
+    ]);
+    if (!from?.active || !to?.active) {
+      throw new Error('Location not found');
+    }
+
+    if (from._id.equals(to._id)) {
+      throw new Error('Cannot transfer stock to the same location');
+    }
+
+    const transferItems = await buildTransferItems(items);
+    const financialYear = getFinancialYear();
+    const sequence = await Counter.next(`stock-transfer-${financialYear}`);
+
+    const transfer = await StockTransfer.create({
+      transferNumber: `TRF/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      from: from._id,
+      to: to._id,
+      items: transferItems,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get stock transfer by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findById(req.params.id)
+      .populate('from', 'name code')
+      .populate('to', 'name code')
+      .populate('items.product', 'name sku')
+      .populate('createdBy', 'name email')
+      .populate('completedBy', 'name email');
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Stock transfer not found' });
+    }
+
+    res.json(transfer);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Complete a transfer and move the stock
+router.post('/:id/complete', authenticate, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const transfer = await StockTransfer.findById(req.params.id).session(session);
+
+    if (!transfer) {
+      throw new Error('Stock transfer not found');
+    }
+
+    if (transfer.status !== 'pending') {
+      throw new Error(`Stock transfer is already ${transfer.status}`);
+    }
+
+    const [from, to] = await Promise.all([
+      InventoryService.resolveLocation(transfer.from, session),
+      InventoryService.resolveLocation(transfer.to, session)
+    ]);
+
+    for (const item of transfer.items) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product) {
+        throw new Error(`Product ${item.product} not found`);
+      }
+
+      item.batches = await InventoryService.transfer(product, item.quantity, {
+        from,
+        to,
+        batchNumber: item.batchNumber,
+        reference: transfer._id,
+        referenceModel: 'StockTransfer',
+        user: req.user.id,
+        notes: `Transfer ${transfer.transferNumber} from ${from.name} to ${to.name}`,
+        session
+      });
+    }
+
+    transfer.status = 'completed';
+    transfer.completedAt = new Date();
+    transfer.completedBy = req.user.id;
+    await transfer.save({ session });
+
+    await session.commitTransaction();
+    res.json(transfer);
+  } catch (error) {
+    await session.abortTransaction();
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Cancel a pending transfer
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ message: 'Stock transfer not found' });
+    }
+
+    if (transfer.status !== 'pending') {
+      throw new Error('Only pending transfers can be cancelled');
+    }
+
+    transfer.status = 'cancelled';
+    await transfer.save();
+
+    res.json(transfer);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
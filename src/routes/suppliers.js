@@ -0,0 +1,222 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get all suppliers with pagination and search
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search || '';
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [suppliers, total] = await Promise.all([
+      Supplier.find(query)
+        .select('-paymentHistory')
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limit),
+      Supplier.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    const hasMore = page < totalPages;
+
+    res.json({
+      suppliers,
+      currentPage: page,
+      totalPages,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create new supplier
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const {
+      name, code, contactPerson, email, phone, address, state, gstin, paymentTermsDays, notes
+    } = req.body;
+
+    if (await Supplier.findOne({ code })) {
+      return res.status(400).json({ message: 'Supplier code already exists' });
+    }
+
+    const supplier = await Supplier.create({
+      name,
+      code,
+      contactPerson,
+      email,
+      phone,
+      address,
+      state,
+      gstin,
+      paymentTermsDays,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get supplier by ID
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    res.json(supplier);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update supplier
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const fields = [
+      'name', 'code', 'contactPerson', 'email', 'phone', 'address',
+      'state', 'gstin', 'paymentTermsDays', 'notes', 'status'
+    ];
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    if (req.body.code && await Supplier.findOne({ code: req.body.code, _id: { $ne: req.params.id } })) {
+      return res.status(400).json({ message: 'Supplier code already exists' });
+    }
+
+    fields
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => supplier.set(field, req.body[field]));
+
+    await supplier.save();
+    res.json(supplier);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get supplier's purchase orders
+router.get('/:id/purchase-orders', authenticate, async (req, res) => {
+  try {
+    const purchaseOrders = await PurchaseOrder.find({ supplier: req.params.id })
+      .select('-receipts')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(purchaseOrders);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get supplier's payable summary
+router.get('/:id/payables', authenticate, async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const openOrders = await PurchaseOrder.find({
+      supplier: req.params.id,
+      status: { $ne: 'cancelled' },
+      $expr: { $gt: ['$receivedAmount', '$paidAmount'] }
+    }).select('poNumber receivedAmount paidAmount receipts.receivedAt createdAt');
+
+    res.json({
+      payableBalance: supplier.payableBalance,
+      paymentTermsDays: supplier.paymentTermsDays,
+      openOrders: openOrders.map(order => {
+        const lastReceipt = order.receipts[order.receipts.length - 1];
+        const dueDate = lastReceipt ? new Date(lastReceipt.receivedAt) : null;
+        dueDate?.setDate(dueDate.getDate() + supplier.paymentTermsDays);
+
+        return {
+          _id: order._id,
+          poNumber: order.poNumber,
+          receivedAmount: order.receivedAmount,
+          paidAmount: order.paidAmount,
+          payableAmount: order.payableAmount,
+          dueDate
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Record payment made to a supplier
+router.post('/:id/payments', authenticate, authorize('admin'), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { amount, method, reference, purchaseOrderId, notes } = req.body;
+    const supplier = await Supplier.findById(req.params.id).session(session);
+
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+
+    if (purchaseOrderId) {
+      const purchaseOrder = await PurchaseOrder.findOne({
+        _id: purchaseOrderId,
+        supplier: supplier._id
+      }).session(session);
+
+      if (!purchaseOrder) {
+        throw new Error('Purchase order not found for this supplier');
+      }
+
+      if (amount > purchaseOrder.payableAmount) {
+        throw new Error('Payment amount exceeds amount payable on this purchase order');
+      }
+
+      purchaseOrder.paidAmount += amount;
+      await purchaseOrder.save({ session });
+    }
+
+    supplier.recordPayment({ amount, method, reference, purchaseOrder: purchaseOrderId, notes });
+    await supplier.save({ session });
+
+    await session.commitTransaction();
+    res.json({
+      message: 'Payment recorded successfully',
+      supplier
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { format } from 'date-fns';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+// Documents read from the database at a time
+const BATCH_SIZE = 500;
+
+// Text typed in by users must not turn into a formula when the file is opened in Excel
+const cellValue = (value) => (
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+);
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(cellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once the client has caught up, and rejects if it goes away meanwhile
+const drained = (res) => new Promise((resolve, reject) => {
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Export download was closed'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Columns an export is laid out in: header, key (used for JSON) and the value read from a document
+export const PRODUCT_EXPORT_COLUMNS = [
+  { header: 'SKU', key: 'sku', value: product => product.sku },
+  { header: 'Name', key: 'name', value: product => product.name },
+  { header: 'Category', key: 'category', value: product => product.category },
+  { header: 'Description', key: 'description', value: product => product.description },
+  { header: 'Price', key: 'price', value: product => product.price },
+  { header: 'Unit', key: 'baseUnit', value: product => product.baseUnit },
+  { header: 'Qty', key: 'quantity', value: product => product.quantity },
+  { header: 'Stock Threshold', key: 'stockThreshold', value: product => product.stockThreshold },
+  { header: 'HSN', key: 'hsnCode', value: product => product.hsnCode },
+  { header: 'GST %', key: 'gstRate', value: product => product.gstRate },
+  { header: 'Barcode', key: 'barcode', value: product => product.barcode },
+  { header: 'Status', key: 'status', value: product => product.status },
+  { header: 'Supplier', key: 'supplier', value: product => product.supplier?.name }
+];
+
+export const CUSTOMER_EXPORT_COLUMNS = [
+  { header: 'Code', key: 'code', value: customer => customer.code },
+  { header: 'Name', key: 'name', value: customer => customer.name },
+  { header: 'Phone', key: 'phone', value: customer => customer.phone },
+  { header: 'Email', key: 'email', value: customer => customer.email },
+  { header: 'Address', key: 'address', value: customer => customer.address },
+  { header: 'State', key: 'state', value: customer => customer.state },
+  { header: 'GSTIN', key: 'gstin', value: customer => customer.gstin },
+  { header: 'Credit Limit', key: 'creditLimit', value: customer => customer.creditLimit },
+  { header: 'Credit Balance', key: 'creditBalance', value: customer => customer.creditBalance },
+  { header: 'Last Purchase', key: 'lastPurchaseDate', value: customer => customer.lastPurchaseDate },
+  { header: 'Status', key: 'status', value: customer => customer.status }
+];
+
+// Sales export one row per invoice; amounts due need the sale's virtuals
+export const SALE_EXPORT_COLUMNS = [
+  { header: 'Invoice No', key: 'invoiceNumber', value: sale => sale.invoiceNumber },
+  { header: 'Invoice Date', key: 'invoiceDate', value: sale => sale.invoiceDate || sale.createdAt },
+  { header: 'Customer Code', key: 'customerCode', value: sale => sale.customer?.code },
+  { header: 'Customer', key: 'customerName', value: sale => sale.customer?.name },
+  { header: 'Supply Type', key: 'supplyType', value: sale => sale.supplyType },
+  { header: 'Payment Type', key: 'paymentType', value: sale => sale.paymentType },
+  { header: 'Status', key: 'status', value: sale => sale.status },
+  { header: 'Items', key: 'items', value: sale => sale.items.length },
+  { header: 'Gross Amount', key: 'grossAmount', value: sale => sale.grossAmount },
+  { header: 'Discount', key: 'discountAmount', value: sale => sale.discountAmount },
+  { header: 'Taxable Value', key: 'taxableValue', value: sale => sale.taxSummary?.taxableValue },
+  { header: 'CGST', key: 'cgst', value: sale => sale.taxSummary?.cgst },
+  { header: 'SGST', key: 'sgst', value: sale => sale.taxSummary?.sgst },
+  { header: 'IGST', key: 'igst', value: sale => sale.taxSummary?.igst },
+  { header: 'Round Off', key: 'roundOff', value: sale => sale.roundOff },
+  { header: 'Total', key: 'totalAmount', value: sale => sale.totalAmount },
+  { header: 'Returned', key: 'returnedAmount', value: sale => sale.returnedAmount },
+  { header: 'Credit', key: 'creditAmount', value: sale => sale.creditPortion },
+  { header: 'Due', key: 'dueAmount', value: sale => sale.dueAmount }
+];
+
+// Exports are written row by row from a cursor, so large collections never sit in memory
+class ExportService {
+  async stream(res, query, { columns, format: exportFormat = 'csv', name }) {
+    if (!EXPORT_FORMATS.includes(exportFormat)) {
+      throw new Error(`Invalid export format: ${exportFormat}`);
+    }
+
+    const cursor = query.cursor({ batchSize: BATCH_SIZE });
+    try {
+      // The first batch is read before anything is sent, so a failing query still
+      // gets the route's error response rather than an attachment
+      const docs = cursor[Symbol.asyncIterator]();
+      const first = await docs.next();
+      const rows = (async function* () {
+        for (let next = first; !next.done; next = await docs.next()) {
+          yield next.value;
+        }
+      })();
+
+      res.setHeader('Content-Type', CONTENT_TYPES[exportFormat]);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename=${name}_${format(new Date(), 'yyyy-MM-dd')}.${exportFormat}`
+      );
+
+      if (exportFormat === 'xlsx') {
+        await this.writeXlsx(res, rows, columns, name);
+      } else {
+        await this.writeText(res, rows, columns, exportFormat);
+      }
+    } catch (error) {
+      // Once rows have gone out the status can't change; cut the download short instead
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        throw error;
+      }
+      res.destroy(error);
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  // The pipeline waits for the client to catch up, and stops reading rows
+  // if the download is aborted
+  async writeText(res, rows, columns, exportFormat) {
+    async function* csvLines() {
+      // The byte order mark lets Excel read names in Indian scripts correctly
+      yield `\uFEFF${columns.map(column => csvCell(column.header)).join(',')}\r\n`;
+      for await (const doc of rows) {
+        yield `${columns.map(column => csvCell(column.value(doc))).join(',')}\r\n`;
+      }
+    }
+
+    async function* jsonLines() {
+      let separator = '';
+      yield '[';
+      for await (const doc of rows) {
+        const row = Object.fromEntries(columns.map(column => [column.key, column.value(doc) ?? null]));
+        yield `${separator}\n${JSON.stringify(row)}`;
+        separator = ',';
+      }
+      yield '\n]\n';
+    }
+
+    await pipeline(Readable.from(exportFormat === 'csv' ? csvLines() : jsonLines()), res);
+  }
+
+  async writeXlsx(res, rows, columns, name) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: 16 }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const doc of rows) {
+      if (res.destroyed) {
+        throw new Error('Export download was closed');
+      }
+      worksheet.addRow(columns.map(column => cellValue(column.value(doc)))).commit();
+      // Rows are zipped into the response as they are committed; hold off while it is full
+      if (res.writableNeedDrain) {
+        await drained(res);
+      }
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+  }
+}
+
+export default new ExportService();
@@ -0,0 +1,463 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import Counter from '../models/Counter.js';
+import ImportJob, { IMPORT_MODES } from '../models/ImportJob.js';
+import ImportRow from '../models/ImportRow.js';
+import InventoryService from './InventoryService.js';
+import { readSpreadsheet } from '../utils/spreadsheet.js';
+import { UNITS } from '../utils/units.js';
+import {
+  EMAIL_PATTERN, nameSimilarity, normalizeName, normalizePhone
+} from '../utils/contact.js';
+
+// Columns a product import understands. Headers are matched to a field by its name
+// or an alias, ignoring case and punctuation, unless a mapping says otherwise.
+const PRODUCT_FIELDS = [
+  { field: 'sku', type: 'string', aliases: ['item code', 'product code'] },
+  { field: 'name', type: 'string', aliases: ['product', 'product name', 'item', 'item name'] },
+  { field: 'description', type: 'string' },
+  { field: 'category', type: 'string' },
+  { field: 'price', type: 'number', aliases: ['rate', 'mrp', 'selling price'] },
+  { field: 'baseUnit', type: 'enum', values: UNITS, aliases: ['unit', 'uom'] },
+  { field: 'quantity', type: 'number', aliases: ['qty', 'stock'] },
+  { field: 'stockThreshold', type: 'number', aliases: ['threshold', 'reorder level'] },
+  { field: 'hsnCode', type: 'string', aliases: ['hsn'] },
+  { field: 'gstRate', type: 'number', aliases: ['gst', 'tax rate'] },
+  { field: 'status', type: 'enum', values: ['active', 'discontinued', 'out_of_stock'] },
+  { field: 'barcode', type: 'string', aliases: ['ean'] },
+  { field: 'supplier.name', type: 'string', aliases: ['supplier'] },
+  { field: 'supplier.phone', type: 'string', aliases: ['supplier phone'] }
+];
+
+// Row results written to the database at a time
+const ROW_CHUNK_SIZE = 200;
+
+// Run work(session) in a transaction, so a record and the entries that go with it
+// are written together or not at all
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+const CUSTOMER_FIELDS = [
+  { field: 'code', type: 'string', aliases: ['customer code', 'farmer code'] },
+  { field: 'name', type: 'string', aliases: ['customer', 'customer name', 'farmer', 'farmer name'] },
+  { field: 'phone', type: 'string', aliases: ['mobile', 'mobile no', 'phone no', 'contact'] },
+  { field: 'email', type: 'string', aliases: ['email id'] },
+  { field: 'address', type: 'string', aliases: ['village'] },
+  { field: 'state', type: 'string' },
+  { field: 'gstin', type: 'string', aliases: ['gst no', 'gst number'] },
+  { field: 'creditLimit', type: 'number', aliases: ['limit'] },
+  { field: 'openingBalance', type: 'number', aliases: ['balance', 'outstanding', 'credit balance'] },
+  { field: 'notes', type: 'string', aliases: ['remarks'] },
+  { field: 'status', type: 'enum', values: ['active', 'inactive', 'blocked'] }
+];
+
+// Names at least this similar are taken to be the same customer spelt differently
+const NAME_MATCH_THRESHOLD = 0.85;
+
+// Probable duplicates reported for a row
+const MAX_MATCHES = 5;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Turn a cell into the field's type; returns undefined for an empty cell
+const coerce = (value, { type, values }) => {
+  if (value === undefined || value === null) return undefined;
+  const text = value instanceof Date ? value.toISOString() : String(value).trim();
+  if (text === '') return undefined;
+
+  switch (type) {
+    case 'number': {
+      // Amounts come with currency signs, thousands separators or a % sign
+      const number = typeof value === 'number' ? value : Number(text.replace(/₹|rs\.?|inr|,|%|\s/gi, ''));
+      if (!Number.isFinite(number)) {
+        throw new Error(`"${text}" is not a number`);
+      }
+      return number;
+    }
+    case 'enum': {
+      const match = values.find(option => option.toLowerCase() === text.toLowerCase().replace(/\s+/g, '_'));
+      if (!match) {
+        throw new Error(`"${text}" is not one of ${values.join(', ')}`);
+      }
+      return match;
+    }
+    default:
+      return text;
+  }
+};
+
+// Messages of a failed save or validation, one per field
+const errorMessages = (error) => (error.errors
+  ? Object.values(error.errors).map(fieldError => fieldError.message)
+  : [error.code === 11000 ? `Duplicate ${Object.keys(error.keyValue || {}).join(', ')}` : error.message]);
+
+class ImportService {
+  // Work out which column each field is read from. An explicit mapping
+  // (field -> header, as an object or JSON string) wins over matching by name.
+  resolveMapping(headers, fields, mapping) {
+    let requested = mapping || {};
+    if (typeof requested === 'string') {
+      try {
+        requested = JSON.parse(requested);
+      } catch (error) {
+        throw new Error('Column mapping must be a JSON object of field to column header');
+      }
+    }
+
+    const resolved = {};
+    for (const [field, header] of Object.entries(requested)) {
+      if (!fields.some(spec => spec.field === field)) {
+        throw new Error(`Unknown field in mapping: ${field}`);
+      }
+      if (!headers.includes(header)) {
+        throw new Error(`Column "${header}" mapped to ${field} is not in the file`);
+      }
+      resolved[field] = header;
+    }
+
+    const mapped = Object.values(resolved);
+    for (const spec of fields) {
+      if (resolved[spec.field]) continue;
+      const names = [spec.field, ...(spec.aliases || [])].map(normalizeHeader);
+      const header = headers.find(candidate => !mapped.includes(candidate) && names.includes(normalizeHeader(candidate)));
+      if (header) {
+        resolved[spec.field] = header;
+        mapped.push(header);
+      }
+    }
+
+    return resolved;
+  }
+
+  // Read a row's mapped columns into field values, collecting a message per bad cell
+  readRow(values, fields, mapping) {
+    const record = {};
+    const messages = [];
+
+    for (const spec of fields) {
+      if (!mapping[spec.field]) continue;
+      try {
+        const value = coerce(values[mapping[spec.field]], spec);
+        if (value !== undefined) record[spec.field] = value;
+      } catch (error) {
+        messages.push(`${spec.field}: ${error.message}`);
+      }
+    }
+
+    return { record, messages };
+  }
+
+  // Read a file and run importRow(record, row) for each row. Each row stands on its own,
+  // so bad rows are reported without stopping the rest. The job is saved before the
+  // first row and row results are written as they come, so an import that stops
+  // partway still shows what it did.
+  async runImport(file, { entity, fields, required, mapping, mode = 'insert', dryRun = false }, user, importRow) {
+    if (!file) {
+      throw new Error('No file uploaded');
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Invalid import mode: ${mode}`);
+    }
+
+    const { format, headers, rows } = await readSpreadsheet(file);
+    const columns = this.resolveMapping(headers, fields, mapping);
+    const missing = required.filter(field => !columns[field]);
+    if (missing.length > 0) {
+      throw new Error(`The file has no column for ${missing.join(', ')}`);
+    }
+
+    const job = await ImportJob.create({
+      entity,
+      fileName: file.originalname,
+      format,
+      mode,
+      dryRun,
+      mapping: columns,
+      createdBy: user.id
+    });
+
+    let pending = [];
+    const flush = async () => {
+      await ImportRow.insertMany(pending);
+      for (const { status } of pending) {
+        job.summary.total += 1;
+        job.summary[status] += 1;
+      }
+      pending = [];
+      await job.save();
+    };
+
+    try {
+      for (const { row, values } of rows) {
+        const { record, messages } = this.readRow(values, fields, columns);
+        required
+          .filter(field => record[field] === undefined)
+          .forEach(field => messages.push(`${field}: is required`));
+
+        let result = { status: 'failed', messages };
+        if (messages.length === 0) {
+          try {
+            result = await importRow(record, row);
+          } catch (error) {
+            result = { status: 'failed', messages: errorMessages(error) };
+          }
+        }
+
+        pending.push({ job: job._id, row, key: record[required[0]], ...result });
+        if (pending.length >= ROW_CHUNK_SIZE) {
+          await flush();
+        }
+      }
+
+      await flush();
+      job.status = 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+    return job;
+  }
+
+  // Import products. In upsert mode rows matching an existing SKU update that product;
+  // a dry run checks every row and saves nothing but the job.
+  async importProducts(file, { mapping, mode, dryRun }, user) {
+    const seen = new Map();
+
+    return this.runImport(file, {
+      entity: 'Product',
+      fields: PRODUCT_FIELDS,
+      required: ['sku'],
+      mapping,
+      mode,
+      dryRun
+    }, user, async (record, row) => {
+      if (seen.has(record.sku)) {
+        throw new Error(`sku: already imported from row ${seen.get(record.sku)}`);
+      }
+      seen.set(record.sku, row);
+
+      return this.importProduct(record, { mode, dryRun, user });
+    });
+  }
+
+  async importProduct(record, { mode, dryRun, user }) {
+    const { quantity, ...fields } = record;
+    const existing = await Product.findOne({ sku: record.sku });
+
+    if (!existing) {
+      const product = new Product(record);
+      await product.validate();
+
+      if (!dryRun) {
+        await inTransaction(async (session) => {
+          await product.save({ session });
+          if (product.quantity > 0) {
+            await InventoryService.record(product, product.quantity, [], {
+              type: 'adjustment',
+              reference: product._id,
+              referenceModel: 'Product',
+              user: user.id,
+              notes: 'Opening stock from bulk import',
+              session
+            });
+          }
+        });
+      }
+
+      return { status: 'created', record: dryRun ? undefined : product._id };
+    }
+
+    if (mode !== 'upsert') {
+      throw new Error('sku: a product with this SKU already exists; import in upsert mode to update it');
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const from = existing.get(field);
+      if (from !== value) changes[field] = { from, to: value };
+    }
+
+    // Stock edits are logged as adjustments against the unbatched stock, as on a manual edit
+    const stockChange = quantity === undefined ? 0 : quantity - existing.quantity;
+    if (stockChange !== 0) {
+      if (existing.unbatchedQuantity() + stockChange < 0) {
+        throw new Error(`quantity: lowering stock to ${quantity} exceeds unbatched stock; adjust the batches instead`);
+      }
+      changes.quantity = { from: existing.quantity, to: quantity };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return { status: 'unchanged', record: existing._id };
+    }
+
+    existing.set(fields);
+    await existing.validate();
+
+    if (!dryRun) {
+      await inTransaction(async (session) => {
+        await existing.save({ session });
+        await InventoryService.adjust(existing, stockChange, {
+          type: 'adjustment',
+          reference: existing._id,
+          referenceModel: 'Product',
+          user: user.id,
+          notes: 'Stock updated by bulk import',
+          session
+        });
+      });
+    }
+
+    return { status: 'updated', record: existing._id, changes };
+  }
+
+  // Import customers. Codes are generated when the file has none, and an opening
+  // balance goes on the customer's credit. Rows that probably duplicate a customer
+  // already on file, or an earlier row, are skipped unless allowDuplicates is set.
+  async importCustomers(file, { mapping, dryRun, allowDuplicates = false }, user) {
+    const existing = await Customer.find().select('name code phone').lean();
+    const codes = new Set(existing.map(customer => customer.code));
+    const known = existing.map(customer => ({
+      customer: customer._id,
+      code: customer.code,
+      name: customer.name,
+      phone: normalizePhone(customer.phone),
+      key: normalizeName(customer.name)
+    }));
+
+    return this.runImport(file, {
+      entity: 'Customer',
+      fields: CUSTOMER_FIELDS,
+      required: ['name'],
+      mapping,
+      dryRun
+    }, user, (record, row) => this.importCustomer(record, row, {
+      known, codes, dryRun, allowDuplicates, user
+    }));
+  }
+
+  async importCustomer(record, row, { known, codes, dryRun, allowDuplicates, user }) {
+    const { openingBalance = 0, ...fields } = record;
+    const messages = [];
+
+    if (fields.phone) {
+      const phone = normalizePhone(fields.phone);
+      if (phone) {
+        fields.phone = phone;
+      } else {
+        messages.push(`phone: "${fields.phone}" is not a valid mobile number`);
+      }
+    }
+
+    if (fields.email && !EMAIL_PATTERN.test(fields.email)) {
+      messages.push(`email: "${fields.email}" is not a valid email address`);
+    }
+
+    if (fields.code && codes.has(fields.code)) {
+      messages.push(`code: ${fields.code} is already in use`);
+    }
+
+    // Without a limit, the opening balance is all the credit the customer gets
+    const creditLimit = fields.creditLimit ?? openingBalance;
+    if (openingBalance < 0) {
+      messages.push('openingBalance: cannot be negative');
+    } else if (openingBalance > creditLimit) {
+      messages.push(`openingBalance: ${openingBalance} exceeds the credit limit of ${creditLimit}`);
+    }
+
+    if (messages.length > 0) {
+      return { status: 'failed', messages };
+    }
+
+    const matches = this.findDuplicates(fields, known);
+    if (matches.length > 0 && !allowDuplicates) {
+      return { status: 'duplicate', matches };
+    }
+
+    const customer = new Customer({
+      ...fields,
+      creditLimit,
+      creditBalance: openingBalance,
+      paymentHistory: openingBalance > 0
+        ? [{ amount: openingBalance, method: 'credit', status: 'pending', notes: 'Opening balance' }]
+        : [],
+      createdBy: user.id
+    });
+
+    if (!customer.code && !dryRun) {
+      customer.code = await this.nextCustomerCode(codes);
+    }
+    await customer.validate({ pathsToSkip: customer.code ? [] : ['code'] });
+
+    if (!dryRun) {
+      await customer.save();
+    }
+
+    if (customer.code) codes.add(customer.code);
+    known.push({
+      customer: dryRun ? undefined : customer._id,
+      row,
+      code: customer.code,
+      name: customer.name,
+      phone: customer.phone,
+      key: normalizeName(customer.name)
+    });
+
+    return {
+      status: 'created',
+      record: dryRun ? undefined : customer._id,
+      matches: matches.length > 0 ? matches : undefined
+    };
+  }
+
+  // Customers the row is probably the same as: the same mobile number or a closely matching name
+  findDuplicates({ name, phone }, known) {
+    const key = normalizeName(name);
+    const matches = [];
+
+    for (const candidate of known) {
+      const { key: candidateKey, ...match } = candidate;
+      if (phone && candidate.phone === phone) {
+        matches.push({ ...match, reason: 'phone' });
+        continue;
+      }
+
+      const score = nameSimilarity(key, candidateKey);
+      if (score >= NAME_MATCH_THRESHOLD) {
+        matches.push({ ...match, reason: 'name', score: Math.round(score * 100) / 100 });
+      }
+    }
+
+    // Phone matches are the surer ones
+    return matches
+      .sort((a, b) => (a.reason === 'phone' ? 0 : 1) - (b.reason === 'phone' ? 0 : 1) || (b.score || 0) - (a.score || 0))
+      .slice(0, MAX_MATCHES);
+  }
+
+  async nextCustomerCode(codes) {
+    let code;
+    do {
+      code = `CUST-${String(await Counter.next('customer-code')).padStart(5, '0')}`;
+    } while (codes.has(code));
+    return code;
+  }
+}
+
+export default new ImportService();
@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import Sale from '../models/Sale.js';
+import Customer from '../models/Customer.js';
+import InterestCharge from '../models/InterestCharge.js';
+import { roundCurrency } from '../utils/gst.js';
+import { addPeriods, calculateInterest, elapsedPeriods } from '../utils/interest.js';
+
+// Interest accrues on each overdue installment from the end of its grace period,
+// in whole periods, on what is outstanding when it is posted. Charges and waivers
+// go on the customer's credit balance and are kept as InterestCharge entries.
+class InterestService {
+  // Charge a sale's overdue installments up to a date; returns the new charges
+  accrue(sale, asOf = new Date()) {
+    const terms = sale.creditDetails;
+    if (!terms?.interestRate) return [];
+
+    // Older sales with only a due date accrue against a single installment
+    if (!terms.installments?.length && terms.dueDate) {
+      terms.installments = [{
+        number: 1,
+        dueDate: terms.dueDate,
+        amount: sale.creditPortion,
+        paidAmount: terms.paidAmount || 0
+      }];
+    }
+
+    const { interestRate: rate, interestMethod: method, interestPeriod: period } = terms;
+    const unpaidInterest = sale.interestBalance;
+    const charges = [];
+
+    for (const outstanding of sale.outstandingInstallments()) {
+      const installment = terms.installments.id(outstanding._id);
+      const periodStart = installment.interestAccruedTo
+        || addPeriods(installment.dueDate, 'daily', terms.graceDays || 0);
+      const periods = elapsedPeriods(periodStart, asOf, period);
+      if (periods < 1) continue;
+
+      // Compound interest also earns on the installment's unpaid interest
+      const principal = method === 'compound'
+        ? roundCurrency(outstanding.outstanding + Math.min(installment.interestCharged, unpaidInterest))
+        : outstanding.outstanding;
+      const amount = calculateInterest(principal, rate, { method, period, periods });
+      const periodEnd = addPeriods(periodStart, period, periods);
+
+      installment.interestAccruedTo = periodEnd;
+      if (amount <= 0) continue;
+
+      installment.interestCharged = roundCurrency(installment.interestCharged + amount);
+      terms.interestCharged = roundCurrency((terms.interestCharged || 0) + amount);
+      charges.push({
+        installment: installment.number,
+        principal,
+        amount,
+        periodStart,
+        periodEnd,
+        rate,
+        method,
+        period
+      });
+    }
+
+    return charges;
+  }
+
+  // Post interest on every pending credit sale that charges it
+  async postInterest(asOf = new Date()) {
+    const sales = await Sale.find({
+      status: 'pending',
+      paymentType: { $in: ['credit', 'split'] },
+      'creditDetails.interestRate': { $gt: 0 }
+    }).select('_id');
+
+    const result = { sales: 0, amount: 0, failed: [] };
+    for (const { _id } of sales) {
+      try {
+        const charges = await this.postSaleInterest(_id, asOf);
+        if (charges.length > 0) {
+          result.sales += 1;
+          result.amount = roundCurrency(result.amount + charges.reduce((sum, charge) => sum + charge.amount, 0));
+        }
+      } catch (error) {
+        console.error(`Error posting interest for sale ${_id}:`, error);
+        result.failed.push({ saleId: _id, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  async postSaleInterest(saleId, asOf) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sale = await Sale.findById(saleId).session(session);
+      const charges = this.accrue(sale, asOf);
+
+      if (sale.isModified()) {
+        await sale.save({ session });
+      }
+
+      if (charges.length > 0) {
+        await InterestCharge.create(charges.map(charge => ({
+          ...charge,
+          type: 'charge',
+          customer: sale.customer,
+          sale: sale._id
+        })), { session, ordered: true });
+
+        // Interest is owed whatever the credit limit, so the balance is not validated
+        const amount = roundCurrency(charges.reduce((sum, charge) => sum + charge.amount, 0));
+        await Customer.updateOne({ _id: sale.customer }, { $inc: { creditBalance: amount } }, { session });
+      }
+
+      await session.commitTransaction();
+      return charges;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async waive(saleId, { amount, reason }, user) {
+    const waived = roundCurrency(Number(amount));
+    if (!waived || waived <= 0) {
+      throw new Error('Waiver amount must be greater than 0');
+    }
+
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to waive interest');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sale = await Sale.findById(saleId).session(session);
+      if (!sale) {
+        throw new Error('Sale not found');
+      }
+
+      if (waived > sale.interestBalance) {
+        throw new Error('Waiver amount exceeds outstanding interest');
+      }
+
+      sale.creditDetails.interestWaived = roundCurrency((sale.creditDetails.interestWaived || 0) + waived);
+      if (sale.remainingBalance <= 0 && sale.interestBalance <= 0) {
+        sale.status = 'completed';
+      }
+      await sale.save({ session });
+
+      await InterestCharge.create([{
+        customer: sale.customer,
+        sale: sale._id,
+        type: 'waiver',
+        amount: waived,
+        reason: reason.trim(),
+        createdBy: user.id
+      }], { session });
+
+      await Customer.updateOne({ _id: sale.customer }, { $inc: { creditBalance: -waived } }, { session });
+
+      await session.commitTransaction();
+      return sale;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+export default new InterestService();
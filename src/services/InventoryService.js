@@ -0,0 +1,123 @@
+import StockMovement from '../models/StockMovement.js';
+import Location from '../models/Location.js';
+import { roundQuantity } from '../utils/units.js';
+
+// Every change to Product.quantity goes through here so it lands in the ledger.
+// The context carries { type, reference, referenceModel, reason, user, notes, location, session },
+// and receipts may give the unitCost paid.
+// Without a location the product is treated as a single pool of stock.
+class InventoryService {
+  // Pick the named location, falling back to the default one if any
+  async resolveLocation(locationId, session) {
+    if (locationId) {
+      const location = await Location.findById(locationId).session(session || null);
+      if (!location || !location.active) {
+        throw new Error('Location not found');
+      }
+      return location;
+    }
+    return Location.findOne({ isDefault: true }).session(session || null);
+  }
+
+  async deduct(product, quantity, { batchNumber, ...context }) {
+    const batches = product.allocateStock(quantity, { batchNumber, location: context.location });
+    await product.save({ session: context.session });
+    await this.record(product, -quantity, batches, context);
+    return batches;
+  }
+
+  async restore(product, quantity, batches, context) {
+    product.restoreStock(quantity, batches, context.location);
+    await product.save({ session: context.session });
+    await this.record(product, quantity, batches, context);
+  }
+
+  async receive(product, quantity, batch, context) {
+    if (context.unitCost !== undefined) {
+      product.costPrice = context.unitCost;
+    }
+    if (batch?.batchNumber) {
+      product.receiveBatch({ ...batch, quantity, location: context.location });
+    } else {
+      product.quantity = roundQuantity(product.quantity + quantity);
+      product.changeLocationStock(context.location, quantity);
+    }
+    await product.save({ session: context.session });
+    await this.record(
+      product,
+      quantity,
+      batch?.batchNumber ? [{ batchNumber: batch.batchNumber, quantity }] : [],
+      context
+    );
+  }
+
+  // Apply a signed correction, to a batch when one is named
+  async adjust(product, quantity, { batchNumber, ...context }) {
+    if (quantity === 0) return;
+    const { location } = context;
+
+    if (batchNumber) {
+      const batch = product.findBatch(batchNumber, location);
+      if (!batch) {
+        throw new Error(`Batch ${batchNumber} not found for product ${product.name}`);
+      }
+      if (batch.quantity + quantity < 0) {
+        throw new Error(`Adjustment exceeds stock in batch ${batchNumber}`);
+      }
+      batch.quantity = roundQuantity(batch.quantity + quantity);
+    } else if (product.unbatchedQuantity(location) + quantity < 0) {
+      throw new Error(`Adjustment for ${product.name} exceeds unbatched stock; specify a batch`);
+    }
+
+    product.quantity = roundQuantity(product.quantity + quantity);
+    product.changeLocationStock(location, quantity);
+    await product.save({ session: context.session });
+    await this.record(
+      product,
+      quantity,
+      batchNumber ? [{ batchNumber, quantity }] : [],
+      context
+    );
+  }
+
+  // Move stock between locations; the total is unchanged so each side is recorded
+  async transfer(product, quantity, { from, to, batchNumber, ...context }) {
+    if (from._id.equals(to._id)) {
+      throw new Error('Cannot transfer stock to the same location');
+    }
+
+    const batches = product.transferStock(quantity, { from, to, batchNumber });
+    await product.save({ session: context.session });
+    await this.record(product, -quantity, batches, { ...context, type: 'transfer', location: from });
+    await this.record(product, quantity, batches, { ...context, type: 'transfer', location: to });
+    return batches;
+  }
+
+  async record(product, quantity, batches, {
+    type, reference, referenceModel, reason, user, notes, location, session
+  }) {
+    const [movement] = await StockMovement.create([{
+      product: product._id,
+      type,
+      quantity,
+      balanceAfter: product.quantity,
+      location: location?._id,
+      locationBalanceAfter: location ? product.locationQuantity(location) : undefined,
+      unitValue: product.costPrice ?? product.price,
+      // Batch quantities carry the same sign as the movement
+      batches: batches.map(({ batchNumber, quantity: batchQuantity }) => ({
+        batchNumber,
+        quantity: Math.sign(quantity) * Math.abs(batchQuantity)
+      })),
+      reference,
+      referenceModel,
+      reason,
+      user,
+      notes
+    }], { session });
+
+    return movement;
+  }
+}
+
+export default new InventoryService();
@@ -0,0 +1,235 @@
+import PDFDocument from 'pdfkit';
+import { format } from 'date-fns';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const formatAmount = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+// Quantity with the unit it was sold in, e.g. "2.5 kg"
+const formatQuantity = (item) => (item.unit ? `${item.quantity} ${item.unit}` : String(item.quantity));
+
+class InvoiceService {
+  constructor() {
+    this.business = {
+      name: process.env.BUSINESS_NAME || process.env.MERCHANT_NAME || 'AgroFlow',
+      address: process.env.BUSINESS_ADDRESS || '',
+      state: process.env.BUSINESS_STATE || '',
+      gstin: process.env.BUSINESS_GSTIN || '',
+      phone: process.env.BUSINESS_PHONE || ''
+    };
+  }
+
+  streamInvoicePDF(res, sale) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const fileName = sale.invoiceNumber.replace(/\//g, '-');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=${fileName}.pdf`);
+    doc.pipe(res);
+
+    this.renderHeader(doc, 'TAX INVOICE');
+    this.renderParty(doc, sale.customer, [
+      `Invoice No: ${sale.invoiceNumber}`,
+      `Invoice Date: ${format(new Date(sale.invoiceDate), 'dd-MM-yyyy')}`,
+      `Place of Supply: ${sale.customer?.state || this.business.state || '-'}`,
+      `Payment: ${sale.paymentType}`
+    ]);
+    this.renderItems(doc, sale.items, sale.supplyType === 'inter_state');
+    this.renderTotals(doc, sale, sale.supplyType === 'inter_state');
+
+    doc.moveDown(2);
+    doc.fontSize(9).text('This is a computer generated invoice.', { align: 'center' });
+    doc.end();
+  }
+
+  streamQuotationPDF(res, quotation) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const fileName = quotation.quotationNumber.replace(/\//g, '-');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=${fileName}.pdf`);
+    doc.pipe(res);
+
+    this.renderHeader(doc, 'QUOTATION');
+    this.renderParty(doc, quotation.customer, [
+      `Quotation No: ${quotation.quotationNumber}`,
+      `Revision: ${quotation.revision}`,
+      `Date: ${format(new Date(quotation.updatedAt || quotation.createdAt), 'dd-MM-yyyy')}`,
+      `Valid Until: ${format(new Date(quotation.validUntil), 'dd-MM-yyyy')}`
+    ]);
+
+    const columns = [
+      { label: '#', width: 25 },
+      { label: 'Item', width: 250 },
+      { label: 'Qty', width: 60, align: 'right' },
+      { label: 'Rate', width: 85, align: 'right' },
+      { label: 'Amount', width: 95, align: 'right' }
+    ];
+    this.renderRow(doc, columns, columns.map(column => column.label), true);
+    quotation.items.forEach((item, index) => {
+      this.renderRow(doc, columns, [
+        index + 1,
+        item.name,
+        formatQuantity(item),
+        item.price.toFixed(2),
+        (item.price * item.quantity).toFixed(2)
+      ]);
+    });
+
+    doc.moveDown();
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10);
+    doc.text('Total (incl. GST)', 330, top, { width: 120 });
+    doc.text(formatAmount(quotation.totalAmount), 450, top, { width: 100, align: 'right' });
+    doc.font('Helvetica');
+    doc.x = 40;
+
+    if (quotation.notes) {
+      doc.moveDown(2);
+      doc.fontSize(9).text(`Notes: ${quotation.notes}`);
+    }
+
+    doc.moveDown(2);
+    doc.fontSize(9).text(
+      'Prices are subject to stock availability at the time of purchase.',
+      { align: 'center' }
+    );
+    doc.end();
+  }
+
+  renderHeader(doc, title) {
+    doc.fontSize(18).text(this.business.name, { align: 'center' });
+    doc.fontSize(9);
+    if (this.business.address) doc.text(this.business.address, { align: 'center' });
+    if (this.business.phone) doc.text(`Phone: ${this.business.phone}`, { align: 'center' });
+    if (this.business.gstin) doc.text(`GSTIN: ${this.business.gstin}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(14).text(title, { align: 'center', underline: true });
+    doc.moveDown();
+  }
+
+  renderParty(doc, customer, details) {
+    const top = doc.y;
+    doc.fontSize(10).text('Bill To:', 40, top, { underline: true });
+    doc.text(customer?.name || '-');
+    if (customer?.address) doc.text(customer.address);
+    if (customer?.state) doc.text(`State: ${customer.state}`);
+    if (customer?.phone) doc.text(`Phone: ${customer.phone}`);
+    if (customer?.gstin) doc.text(`GSTIN: ${customer.gstin}`);
+    const leftBottom = doc.y;
+
+    doc.text('', 330, top);
+    details.forEach(line => doc.text(line, 330));
+
+    doc.x = 40;
+    doc.y = Math.max(leftBottom, doc.y) + 15;
+  }
+
+  renderItems(doc, items, interState) {
+    const columns = interState
+      ? [
+        { label: '#', width: 20 },
+        { label: 'Item', width: 135 },
+        { label: 'HSN', width: 55 },
+        { label: 'Qty', width: 50, align: 'right' },
+        { label: 'Rate', width: 55, align: 'right' },
+        { label: 'Taxable', width: 65, align: 'right' },
+        { label: 'IGST', width: 65, align: 'right' },
+        { label: 'Amount', width: 70, align: 'right' }
+      ]
+      : [
+        { label: '#', width: 20 },
+        { label: 'Item', width: 110 },
+        { label: 'HSN', width: 50 },
+        { label: 'Qty', width: 45, align: 'right' },
+        { label: 'Rate', width: 50, align: 'right' },
+        { label: 'Taxable', width: 60, align: 'right' },
+        { label: 'CGST', width: 55, align: 'right' },
+        { label: 'SGST', width: 55, align: 'right' },
+        { label: 'Amount', width: 70, align: 'right' }
+      ];
+
+    this.renderRow(doc, columns, columns.map(column => column.label), true);
+
+    items.forEach((item, index) => {
+      const gstHalf = (item.gstRate || 0) / 2;
+      const values = interState
+        ? [
+          index + 1,
+          item.name,
+          item.hsnCode || '-',
+          formatQuantity(item),
+          item.price.toFixed(2),
+          (item.taxableValue || 0).toFixed(2),
+          `${(item.igst || 0).toFixed(2)} @${item.gstRate || 0}%`,
+          (item.price * item.quantity).toFixed(2)
+        ]
+        : [
+          index + 1,
+          item.name,
+          item.hsnCode || '-',
+          formatQuantity(item),
+          item.price.toFixed(2),
+          (item.taxableValue || 0).toFixed(2),
+          `${(item.cgst || 0).toFixed(2)} @${gstHalf}%`,
+          `${(item.sgst || 0).toFixed(2)} @${gstHalf}%`,
+          (item.price * item.quantity).toFixed(2)
+        ];
+      this.renderRow(doc, columns, values);
+    });
+
+    doc.moveDown();
+  }
+
+  renderRow(doc, columns, values, bold = false) {
+    const top = doc.y;
+    let x = 40;
+    let bottom = top;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    columns.forEach((column, index) => {
+      doc.text(String(values[index]), x, top, { width: column.width - 4, align: column.align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+      x += column.width;
+    });
+
+    doc.moveTo(40, bottom + 2).lineTo(x, bottom + 2).lineWidth(0.5).stroke();
+    doc.font('Helvetica');
+    doc.x = 40;
+    doc.y = bottom + 5;
+  }
+
+  renderTotals(doc, sale, interState) {
+    const taxSummary = sale.taxSummary || {};
+    const discounts = sale.discountAmount > 0
+      ? [
+        ['Gross Amount', sale.grossAmount],
+        ...sale.discounts.map(discount => [`Less: ${discount.name}`, -discount.amount])
+      ]
+      : [];
+
+    const lines = [
+      ...discounts,
+      ['Taxable Value', taxSummary.taxableValue],
+      ...(interState
+        ? [['IGST', taxSummary.igst]]
+        : [['CGST', taxSummary.cgst], ['SGST', taxSummary.sgst]]),
+      ['Total Tax', taxSummary.totalTax],
+      ...(sale.roundOff ? [['Round Off', sale.roundOff]] : []),
+      ['Invoice Total', sale.totalAmount]
+    ];
+
+    doc.fontSize(10);
+    lines.forEach(([label, value], index) => {
+      const top = doc.y;
+      doc.font(index === lines.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, 330, top, { width: 120 });
+      doc.text(formatAmount(value), 450, top, { width: 100, align: 'right' });
+    });
+    doc.font('Helvetica');
+    doc.x = 40;
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,122 @@
+import PDFDocument from 'pdfkit';
+import bwipjs from 'bwip-js';
+import { format } from 'date-fns';
+import Counter from '../models/Counter.js';
+import { inStoreEan13 } from '../utils/barcode.js';
+
+export const BARCODE_FORMATS = ['png', 'svg'];
+export const LABEL_SYMBOLOGIES = ['barcode', 'qr'];
+
+const MM = 72 / 25.4;
+
+// A4 sheet of 21 labels, 63.5 x 38.1 mm in 3 columns (the common L7160 layout)
+const SHEET = {
+  columns: 3,
+  rows: 7,
+  width: 63.5 * MM,
+  height: 38.1 * MM,
+  marginLeft: 7.2 * MM,
+  marginTop: 15.1 * MM,
+  gap: 2.5 * MM
+};
+
+const LABEL_PADDING = 6;
+
+class LabelService {
+  // Give a product a barcode: the one supplied, its SKU as Code 128,
+  // or the next in-store EAN-13
+  async assignBarcode(product, { type = 'ean13', barcode } = {}) {
+    if (barcode) {
+      product.barcode = barcode;
+      product.barcodeType = type;
+    } else if (type === 'code128') {
+      product.barcode = product.sku;
+      product.barcodeType = 'code128';
+    } else {
+      product.barcode = inStoreEan13(await Counter.next('barcode-ean13'));
+      product.barcodeType = 'ean13';
+    }
+
+    await product.save();
+    return product;
+  }
+
+  renderBarcode(value, type, { format: imageFormat = 'png', symbology = 'barcode', scale = 3 } = {}) {
+    const options = symbology === 'qr'
+      ? { bcid: 'qrcode', text: value, scale }
+      : { bcid: type, text: value, scale, height: 12, includetext: true, textxalign: 'center' };
+
+    return imageFormat === 'svg' ? bwipjs.toSVG(options) : bwipjs.toBuffer(options);
+  }
+
+  // labels: [{ product, unit, batch, copies }]; each copy takes one label on the sheet
+  async streamLabelSheet(res, labels, { symbology = 'barcode' } = {}) {
+    // Images are rendered once per product and reused for its copies
+    const images = new Map();
+    for (const { product } of labels) {
+      if (!images.has(String(product._id))) {
+        const { value, type } = product.labelCode();
+        images.set(String(product._id), await this.renderBarcode(value, type, { symbology }));
+      }
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 0 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename=labels.pdf');
+    doc.pipe(res);
+
+    const perSheet = SHEET.columns * SHEET.rows;
+    let position = 0;
+    for (const label of labels) {
+      for (let copy = 0; copy < (label.copies || 1); copy += 1) {
+        if (position > 0 && position % perSheet === 0) {
+          doc.addPage();
+        }
+
+        const slot = position % perSheet;
+        const x = SHEET.marginLeft + (slot % SHEET.columns) * (SHEET.width + SHEET.gap);
+        const y = SHEET.marginTop + Math.floor(slot / SHEET.columns) * SHEET.height;
+        this.renderLabel(doc, label, images.get(String(label.product._id)), x, y, symbology);
+        position += 1;
+      }
+    }
+
+    doc.end();
+  }
+
+  renderLabel(doc, { product, unit, batch }, image, x, y, symbology) {
+    const width = SHEET.width - LABEL_PADDING * 2;
+    const left = x + LABEL_PADDING;
+    let top = y + LABEL_PADDING;
+
+    doc.font('Helvetica-Bold').fontSize(8)
+      .text(product.name, left, top, { width, height: 20, ellipsis: true });
+    top += 20;
+
+    doc.fontSize(10).text(`Rs. ${unit.price.toFixed(2)} / ${unit.name}`, left, top, { width });
+    top += 12;
+
+    const batchLine = batch && [
+      `Batch: ${batch.batchNumber}`,
+      batch.expiryDate ? `Exp: ${format(new Date(batch.expiryDate), 'MM-yyyy')}` : null
+    ].filter(Boolean).join('  ');
+    if (batchLine) {
+      doc.font('Helvetica').fontSize(7).text(batchLine, left, top, { width });
+    }
+    top += 10;
+
+    // The code fills what is left of the label; a QR sits to the left of the SKU
+    const height = y + SHEET.height - LABEL_PADDING - top;
+    if (symbology === 'qr') {
+      doc.image(image, left, top, { fit: [height, height] });
+      doc.font('Helvetica').fontSize(7).text(product.sku, left + height + 4, top + height / 2 - 4, {
+        width: width - height - 4
+      });
+    } else {
+      doc.image(image, left, top, { fit: [width, height], align: 'center' });
+    }
+    doc.font('Helvetica');
+  }
+}
+
+export default new LabelService();
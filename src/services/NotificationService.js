@@ -5,6 +5,11 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Values typed in by users are escaped before they go into an email body
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
 class NotificationService {
   constructor() {
     // Email configuration
@@ -47,9 +52,10 @@ class NotificationService {
     }
   }
 
-  async sendPaymentReminder(customer, sale) {
+  async sendPaymentReminder(customer, sale, daysUntilDue, installment) {
     // TODO: Implement actual notification sending
-    console.log(`Payment reminder sent to ${customer.name} for sale ${sale._id}`);
+    const part = installment ? ` installment ${installment.number}` : '';
+    console.log(`Payment reminder sent to ${customer.name} for sale ${sale._id}${part}`);
   }
 
   async sendPaymentConfirmation(customer, payment, sale) {
@@ -57,9 +63,10 @@ class NotificationService {
     console.log(`Payment confirmation sent to ${customer.name} for payment ${payment._id}`);
   }
 
-  async sendOverdueNotification(customer, sale) {
+  async sendOverdueNotification(customer, sale, daysOverdue, installment) {
     // TODO: Implement actual notification sending
-    console.log(`Overdue notification sent to ${customer.name} for sale ${sale._id}`);
+    const part = installment ? ` installment ${installment.number}` : '';
+    console.log(`Overdue notification sent to ${customer.name} for sale ${sale._id}${part}`);
   }
 
   async sendCreditLimitWarning(customer) {
@@ -67,6 +74,43 @@ class NotificationService {
     console.log(`Credit limit warning sent to ${customer.name}`);
   }
 
+  // Sends on every channel the customer can be reached on, except those in `skip`.
+  // Returns { channel, status, error } for each channel tried; one failing doesn't stop the other.
+  async sendRecallNotice(customer, recall, product, { skip = [] } = {}) {
+    const message = `Product recall: ${product.name} batch ${recall.batchNumber} has been recalled `
+      + `(${recall.reason}). Please stop using it and return it to the store.`
+      + (recall.instructions ? ` ${recall.instructions}` : '');
+    const deliveries = [];
+
+    if (customer.phone && this.twilioClient) {
+      deliveries.push({ channel: 'sms', send: () => this.sendSMS({ to: customer.phone, body: message }) });
+    }
+
+    if (customer.email && this.emailTransporter) {
+      deliveries.push({
+        channel: 'email',
+        send: () => this.sendEmail({
+          to: customer.email,
+          subject: `Product recall: ${product.name} (batch ${recall.batchNumber})`,
+          html: `<p>Dear ${escapeHtml(customer.name)},</p><p>${escapeHtml(message)}</p>`
+        })
+      });
+    }
+
+    const results = [];
+    for (const { channel, send } of deliveries.filter(delivery => !skip.includes(delivery.channel))) {
+      try {
+        await send();
+        results.push({ channel, status: 'sent' });
+      } catch (error) {
+        results.push({ channel, status: 'failed', error: error.message });
+      }
+    }
+
+    console.log(`Recall notice for batch ${recall.batchNumber} sent to ${customer.name}`);
+    return results;
+  }
+
   async sendEmail({ to, subject, html }) {
     if (!this.emailTransporter) {
       console.log('Email notification skipped: Email service not configured');
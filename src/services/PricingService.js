@@ -0,0 +1,96 @@
+import PriceList from '../models/PriceList.js';
+import AuditLog from '../models/AuditLog.js';
+import { roundCurrency } from '../utils/gst.js';
+
+// Prices come from the customer's price list, then the default list, then the product itself
+class PricingService {
+  async getPriceList(customer, date = new Date()) {
+    if (customer?.priceList) {
+      const priceList = await PriceList.findById(customer.priceList);
+      if (priceList?.isValidOn(date)) {
+        return priceList;
+      }
+    }
+
+    const defaultList = await PriceList.findOne({ isDefault: true });
+    return defaultList?.isValidOn(date) ? defaultList : null;
+  }
+
+  // Price of one `unit` (as returned by product.findUnit) when buying `quantity` of it
+  resolvePrice(product, unit, quantity, priceList) {
+    const entries = priceList?.items.filter(
+      item => item.product.equals(product._id)
+    ) || [];
+
+    const exact = entries.find(item => (item.unit || product.baseUnit) === unit.name);
+    if (exact) {
+      return {
+        price: roundCurrency(exact.priceFor(quantity)),
+        source: 'price_list',
+        priceList: priceList._id
+      };
+    }
+
+    // A base-unit price scales to the larger unit, with breaks compared in base units
+    const base = entries.find(item => (item.unit || product.baseUnit) === product.baseUnit);
+    if (base) {
+      return {
+        price: roundCurrency(base.priceFor(quantity * unit.conversionFactor) * unit.conversionFactor),
+        source: 'price_list',
+        priceList: priceList._id
+      };
+    }
+
+    return { price: roundCurrency(unit.price), source: 'product' };
+  }
+
+  // Check a price the counter entered against the resolved one; differences need permission
+  checkOverride(user, product, item, resolved) {
+    if (item.price === undefined || item.price === null || item.price === '') {
+      return null;
+    }
+
+    const price = roundCurrency(Number(item.price));
+    if (Number.isNaN(price) || price < 0) {
+      throw new Error(`Invalid price for product ${product.name}`);
+    }
+    if (price === resolved.price) {
+      return null;
+    }
+
+    if (!user.hasPermission('override_price')) {
+      throw new Error(`Price override for ${product.name} is not permitted`);
+    }
+    if (!item.overrideReason) {
+      throw new Error(`A reason is required to override the price of ${product.name}`);
+    }
+
+    return { price, reason: item.overrideReason };
+  }
+
+  async logOverrides(entity, entityModel, items, user, session) {
+    const entries = items
+      .filter(item => item.priceOverride)
+      .map(item => ({
+        action: 'price_override',
+        entity: entity._id,
+        entityModel,
+        reason: item.priceOverride.reason,
+        details: {
+          product: item.product,
+          name: item.name,
+          quantity: item.quantity,
+          unit: item.unit,
+          listPrice: item.listPrice,
+          price: item.price
+        },
+        user: user.id
+      }));
+
+    if (entries.length > 0) {
+      await AuditLog.create(entries, { session });
+    }
+  }
+}
+
+export default new PricingService();
@@ -0,0 +1,133 @@
+import Promotion from '../models/Promotion.js';
+import { roundCurrency } from '../utils/gst.js';
+import { roundQuantity } from '../utils/units.js';
+
+// What is left to discount on a line after earlier promotions
+const netAmount = (line) => roundCurrency(line.price * line.quantity - line.discount);
+
+// Quantity of a line in one of its product's units, or 0 if the product isn't sold by it
+const quantityIn = (line, unitName) => {
+  try {
+    return line.baseQuantity / line.product.findUnit(unitName).conversionFactor;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// Running promotions are applied automatically to every sale.
+// Sale lines look like { product, quantity, baseQuantity, price, discount } and
+// discounts are written onto them; the discount lines for the sale are returned.
+// Free goods are added through addLine(productId, unitName, quantity, promotion).
+class PromotionService {
+  async apply(customer, lines, addLine, date = new Date()) {
+    const promotions = (await Promotion.findRunning(date).sort({ createdAt: 1 }))
+      .filter(promotion => promotion.appliesToCustomer(customer));
+
+    const discounts = [];
+    for (const promotion of promotions) {
+      const amount = await this.applyPromotion(promotion, lines, addLine);
+      if (amount > 0) {
+        discounts.push({
+          promotion: promotion._id,
+          code: promotion.code,
+          name: promotion.name,
+          type: promotion.type,
+          amount
+        });
+      }
+    }
+
+    return discounts;
+  }
+
+  applyPromotion(promotion, lines, addLine) {
+    switch (promotion.type) {
+      case 'percentage':
+        return this.percentage(promotion, lines);
+      case 'flat':
+        return this.flat(promotion, lines);
+      case 'free_goods':
+        return this.freeGoods(promotion, lines, addLine);
+      case 'bundle':
+        return this.bundle(promotion, lines);
+      default:
+        return 0;
+    }
+  }
+
+  // Lines that count towards a promotion; goods given free never do
+  eligibleLines(promotion, lines) {
+    const eligible = lines.filter(line => !line.promotion && promotion.appliesToProduct(line.product));
+    const quantity = eligible.reduce((sum, line) => sum + line.baseQuantity, 0);
+    const amount = eligible.reduce((sum, line) => sum + netAmount(line), 0);
+
+    return quantity >= promotion.minQuantity && amount >= promotion.minAmount ? eligible : [];
+  }
+
+  async percentage(promotion, lines) {
+    let total = 0;
+    for (const line of this.eligibleLines(promotion, lines)) {
+      const discount = roundCurrency(netAmount(line) * promotion.value / 100);
+      line.discount = roundCurrency(line.discount + discount);
+      total += discount;
+    }
+    return roundCurrency(total);
+  }
+
+  async flat(promotion, lines) {
+    const eligible = this.eligibleLines(promotion, lines);
+    const subtotal = eligible.reduce((sum, line) => sum + netAmount(line), 0);
+    return this.allocate(eligible, Math.min(promotion.value, subtotal));
+  }
+
+  async freeGoods(promotion, lines, addLine) {
+    const eligible = this.eligibleLines(promotion, lines);
+    if (eligible.length === 0) return 0;
+
+    const bought = roundQuantity(eligible.reduce((sum, line) => sum + quantityIn(line, promotion.unit), 0));
+    const sets = Math.floor(bought / promotion.buyQuantity);
+    if (sets === 0) return 0;
+
+    // Without a named free product the offer is on the product bought
+    const productId = promotion.freeProduct || eligible[0].product._id;
+    const line = await addLine(productId, promotion.unit, sets * promotion.freeQuantity, promotion);
+    line.discount = roundCurrency(line.price * line.quantity);
+    return line.discount;
+  }
+
+  async bundle(promotion, lines) {
+    const bundleLines = [];
+    let sets = Infinity;
+
+    for (const bundleItem of promotion.bundleItems) {
+      const matching = lines.filter(line => !line.promotion && line.product._id.equals(bundleItem.product));
+      const available = matching.reduce((sum, line) => sum + quantityIn(line, bundleItem.unit), 0);
+      sets = Math.min(sets, Math.floor(roundQuantity(available) / bundleItem.quantity));
+      bundleLines.push(...matching);
+    }
+
+    if (!sets || sets === Infinity) return 0;
+
+    const subtotal = bundleLines.reduce((sum, line) => sum + netAmount(line), 0);
+    return this.allocate(bundleLines, Math.min(promotion.value * sets, subtotal));
+  }
+
+  // Spread a discount over lines in proportion to what is left on each
+  allocate(lines, amount) {
+    const subtotal = lines.reduce((sum, line) => sum + netAmount(line), 0);
+    if (amount <= 0 || subtotal <= 0) return 0;
+
+    let remaining = roundCurrency(amount);
+    lines.forEach((line, index) => {
+      const share = index === lines.length - 1
+        ? remaining
+        : roundCurrency(amount * netAmount(line) / subtotal);
+      line.discount = roundCurrency(line.discount + share);
+      remaining = roundCurrency(remaining - share);
+    });
+
+    return roundCurrency(amount);
+  }
+}
+
+export default new PromotionService();
@@ -66,6 +66,40 @@ class RazorpayService {
     return expectedSignature === signature;
   }
 
+  // `receipt` identifies the refund on our side. A refund already made for it that
+  // hasn't failed is returned, with its current status, instead of refunding again;
+  // after a failure the next attempt gets its own receipt, e.g. "<receipt>-1".
+  async refundPayment(paymentId, amount, notes = {}, receipt) {
+    if (!this.razorpay) {
+      throw new Error('Razorpay is not properly initialized');
+    }
+
+    try {
+      let attempt = receipt;
+      if (receipt) {
+        const { items = [] } = await this.razorpay.payments.fetchMultipleRefund(paymentId, { count: 100 });
+        const earlier = items.filter(refund => refund.receipt === receipt || refund.receipt?.startsWith(`${receipt}-`));
+        const live = earlier.find(refund => refund.status !== 'failed');
+        if (live) {
+          return live;
+        }
+        if (earlier.length > 0) {
+          attempt = `${receipt}-${earlier.length}`;
+        }
+      }
+
+      const refund = await this.razorpay.payments.refund(paymentId, {
+        amount: Math.round(amount * 100), // Razorpay expects amount in paise
+        receipt: attempt,
+        notes
+      });
+      return refund;
+    } catch (error) {
+      console.error('Razorpay refund error:', error);
+      throw new Error('Failed to process refund');
+    }
+  }
+
   isInitialized() {
     return this.razorpay !== null;
   }
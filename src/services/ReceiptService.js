@@ -0,0 +1,177 @@
+import { format } from 'date-fns';
+import InvoiceService from './InvoiceService.js';
+import { EscPosBuilder } from '../utils/escpos.js';
+
+export const RECEIPT_FORMATS = ['escpos', 'text'];
+
+// Characters per line in the printer's default font, by paper width in mm
+export const RECEIPT_WIDTHS = { 58: 32, 80: 48 };
+
+const TENDER_LABELS = {
+  cash: 'Cash',
+  upi: 'UPI',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  credit: 'Credit'
+};
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+// Break text into lines no wider than width, at spaces where possible
+const wrap = (text, width) => {
+  const lines = [];
+  let current = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    for (let start = 0; start < word.length; start += width) {
+      const part = word.slice(start, start + width);
+      if (current && current.length + part.length + 1 > width) {
+        lines.push(current);
+        current = part;
+      } else {
+        current = current ? `${current} ${part}` : part;
+      }
+    }
+  }
+
+  return [...lines, current];
+};
+
+// Receipt for the counter's thermal printer. The layout is built once as lines
+// and rendered either to ESC/POS bytes or to plain text.
+class ReceiptService {
+  render(sale, { format: receiptFormat = 'escpos', paper = 80, upi } = {}) {
+    if (!RECEIPT_FORMATS.includes(receiptFormat)) {
+      throw new Error(`Invalid receipt format: ${receiptFormat}`);
+    }
+
+    const width = RECEIPT_WIDTHS[paper];
+    if (!width) {
+      throw new Error(`Invalid paper width: ${paper}`);
+    }
+
+    const lines = this.layout(sale, width, upi);
+    return receiptFormat === 'escpos' ? this.toEscPos(lines, width) : this.toText(lines, width);
+  }
+
+  // Lines are { text, align, bold, large }, { rule: true } or { qr }
+  layout(sale, width, upi) {
+    const lines = [];
+    const { business } = InvoiceService;
+
+    const add = (text, style = {}) => {
+      // Large text is printed double width
+      wrap(text, style.large ? Math.floor(width / 2) : width)
+        .forEach(part => lines.push({ ...style, text: part }));
+    };
+    const row = (left, right, style = {}) => {
+      const room = width - right.length - 1;
+      const parts = wrap(left, room);
+      parts.forEach((part, index) => lines.push({
+        ...style,
+        text: index === parts.length - 1 ? `${part.padEnd(room)} ${right}` : part
+      }));
+    };
+    const rule = () => lines.push({ rule: true });
+
+    add(business.name, { align: 'center', bold: true, large: true });
+    if (business.address) add(business.address, { align: 'center' });
+    if (business.phone) add(`Phone: ${business.phone}`, { align: 'center' });
+    if (business.gstin) add(`GSTIN: ${business.gstin}`, { align: 'center' });
+    rule();
+
+    if (sale.status === 'cancelled') {
+      add('*** VOID ***', { align: 'center', bold: true });
+    }
+    if (sale.invoiceNumber) add(`Invoice: ${sale.invoiceNumber}`);
+    add(`Date: ${format(new Date(sale.invoiceDate || sale.createdAt), 'dd-MM-yyyy HH:mm')}`);
+    if (sale.customer?.name) add(`Customer: ${sale.customer.name}`);
+    if (sale.customer?.phone) add(`Phone: ${sale.customer.phone}`);
+    rule();
+
+    sale.items.forEach(item => {
+      add(item.name);
+      row(`${item.quantity} ${item.unit || ''} x ${formatAmount(item.price)}`, formatAmount(item.price * item.quantity));
+    });
+    rule();
+
+    if (sale.discountAmount > 0) {
+      row('Gross Amount', formatAmount(sale.grossAmount));
+      sale.discounts.forEach(discount => row(`Less: ${discount.name}`, `-${formatAmount(discount.amount)}`));
+    }
+    if (sale.roundOff) row('Round Off', formatAmount(sale.roundOff));
+    row('TOTAL', formatAmount(sale.totalAmount), { bold: true });
+
+    const taxSummary = sale.taxSummary || {};
+    if (taxSummary.totalTax > 0) {
+      row('Taxable Value', formatAmount(taxSummary.taxableValue));
+      if (sale.supplyType === 'inter_state') {
+        row('IGST', formatAmount(taxSummary.igst));
+      } else {
+        row('CGST', formatAmount(taxSummary.cgst));
+        row('SGST', formatAmount(taxSummary.sgst));
+      }
+    }
+    rule();
+
+    // Sales recorded before tenders existed were paid in full by their payment type
+    const tenders = sale.tenders?.length
+      ? sale.tenders
+      : [{ method: sale.paymentType === 'online' ? 'upi' : sale.paymentType, amount: sale.totalAmount }];
+    tenders.forEach(tender => {
+      const label = TENDER_LABELS[tender.method] || tender.method;
+      row(tender.status === 'pending' ? `${label} (pending)` : label, formatAmount(tender.amount));
+    });
+
+    if (sale.dueAmount > 0 && sale.status !== 'cancelled') {
+      row('Balance Due', formatAmount(sale.dueAmount), { bold: true });
+      const [next] = sale.outstandingInstallments();
+      if (next) {
+        add(`Next due: ${formatAmount(next.outstanding)} on ${format(new Date(next.dueDate), 'dd-MM-yyyy')}`);
+      }
+    }
+
+    if (upi) {
+      rule();
+      add(`Scan to pay Rs. ${formatAmount(upi.amount)} by UPI`, { align: 'center', bold: true });
+      lines.push({ qr: upi.upiString });
+      add(`Ref: ${upi.reference}`, { align: 'center' });
+    }
+
+    rule();
+    add('Thank you! Visit again.', { align: 'center' });
+    return lines;
+  }
+
+  toEscPos(lines, width) {
+    const printer = new EscPosBuilder();
+
+    lines.forEach(line => {
+      if (line.rule) {
+        printer.align('left').line('-'.repeat(width));
+      } else if (line.qr) {
+        printer.align('center').qr(line.qr).feed(1);
+      } else {
+        printer.align(line.align || 'left').bold(line.bold).large(line.large).line(line.text);
+        printer.bold(false).large(false);
+      }
+    });
+
+    return printer.feed(3).cut().toBuffer();
+  }
+
+  // Text has no QR, so the UPI link is printed for the counter to share instead
+  toText(lines, width) {
+    return lines.map(line => {
+      if (line.rule) return '-'.repeat(width);
+      if (line.qr) return line.qr;
+
+      const padding = width - line.text.length;
+      if (line.align === 'center') return `${' '.repeat(Math.max(0, Math.floor(padding / 2)))}${line.text}`;
+      if (line.align === 'right') return `${' '.repeat(Math.max(0, padding))}${line.text}`;
+      return line.text;
+    }).join('\n') + '\n';
+  }
+}
+
+export default new ReceiptService();
@@ -0,0 +1,985 @@
+import mongoose from 'mongoose';
+import Sale, { TENDER_METHODS } from '../models/Sale.js';
+import Payment from '../models/Payment.js';
+import Product from '../models/Product.js';
+import Customer from '../models/Customer.js';
+import Counter from '../models/Counter.js';
+import SaleReturn from '../models/SaleReturn.js';
+import InterestCharge from '../models/InterestCharge.js';
+import AuditLog from '../models/AuditLog.js';
+import SaleRevision from '../models/SaleRevision.js';
+import NotificationService from './NotificationService.js';
+import InventoryService from './InventoryService.js';
+import PricingService from './PricingService.js';
+import PromotionService from './PromotionService.js';
+import {
+  calculateLineTax, getFinancialYear, isInterStateSupply, roundCurrency, roundInvoiceTotal, summarizeTax
+} from '../utils/gst.js';
+import { MIN_QUANTITY, roundQuantity } from '../utils/units.js';
+import { buildInstallments } from '../utils/installments.js';
+import { buildUpiString } from '../utils/upi.js';
+
+// Attempts at a sale before giving up when concurrent sales keep conflicting
+const MAX_ATTEMPTS = 3;
+
+// Tender a whole sale is settled by when it is sent with a payment type only
+const LEGACY_TENDER_METHODS = { cash: 'cash', credit: 'credit', online: 'upi' };
+
+// UPI tenders stay pending until the QR payment is confirmed
+const PENDING_TENDER_METHODS = ['upi'];
+
+// Take up to quantity from the stock a sale holds of a product, batch by batch, then unbatched
+const takeHeld = (held, quantity, batchNumber) => {
+  const batches = [];
+  let remaining = quantity;
+
+  for (const batch of held.batches) {
+    if (remaining <= 0) break;
+    if (batch.quantity <= 0 || (batchNumber && batch.batchNumber !== batchNumber)) continue;
+
+    const taken = Math.min(batch.quantity, remaining);
+    batch.quantity = roundQuantity(batch.quantity - taken);
+    held.quantity = roundQuantity(held.quantity - taken);
+    remaining = roundQuantity(remaining - taken);
+    batches.push({ batchNumber: batch.batchNumber, quantity: taken, expiryDate: batch.expiryDate });
+  }
+
+  // A line asking for a batch is only served from that batch
+  if (!batchNumber) {
+    const unbatched = held.quantity - held.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+    const taken = Math.min(Math.max(unbatched, 0), remaining);
+    held.quantity = roundQuantity(held.quantity - taken);
+    remaining = roundQuantity(remaining - taken);
+  }
+
+  return { batches, shortfall: remaining };
+};
+
+// Conflicts with a concurrent writer are worth retrying; the retry re-reads stock
+const isRetryable = (error) => error.name === 'VersionError'
+  || error.hasErrorLabel?.('TransientTransactionError');
+
+class SaleService {
+  // Run work in a transaction, retrying when a concurrent writer conflicts
+  async withRetry(work) {
+    for (let attempt = 1; ; attempt += 1) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const result = await work(session);
+        await session.commitTransaction();
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) {
+          throw error;
+        }
+      } finally {
+        session.endSession();
+      }
+    }
+  }
+
+  // The whole sale (stock, sale, invoice number, customer credit) commits or fails together.
+  // Quoted sales keep the prices already agreed (and authorised) on the quotation.
+  // afterRecord(sale, session) lets the caller write its own changes in the same transaction.
+  async createSale(data, user, { quoted = false, afterRecord } = {}) {
+    const { sale, customer } = await this.withRetry(async (session) => {
+      const recorded = await this.recordSale(data, user, { quoted, session });
+      if (afterRecord) {
+        await afterRecord(recorded.sale, session);
+      }
+      return recorded;
+    });
+
+    // Reminders go out only for sales that were actually recorded
+    const [installment] = sale.outstandingInstallments();
+    if (installment && (customer.phone || customer.email)) {
+      await NotificationService.sendPaymentReminder(
+        customer,
+        sale,
+        Math.ceil((new Date(installment.dueDate) - new Date()) / (1000 * 60 * 60 * 24)),
+        installment
+      ).catch(error => console.error('Error sending payment reminder:', error));
+    }
+
+    return sale;
+  }
+
+  async recordSale(data, user, { quoted, session }) {
+    const { customerId, items, paymentType, creditDetails, totalAmount } = data;
+
+    if (!customerId || !items?.length || (!paymentType && !data.tenders?.length)) {
+      throw new Error('Missing required fields');
+    }
+
+    const customer = await Customer.findById(customerId).session(session);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    // Allocated up front so stock movements can reference the sale
+    const saleId = new mongoose.Types.ObjectId();
+
+    // Stock is picked from the chosen location, or the default one
+    const location = await InventoryService.resolveLocation(data.locationId, session);
+
+    const priceList = await PricingService.getPriceList(customer);
+    const interState = isInterStateSupply(customer.state);
+    const loadProduct = this.productLoader(session);
+
+    const {
+      lines, discounts, grossAmount, discountAmount, saleTotal, roundOff
+    } = await this.priceCart(customer, items, { user, priceList, quoted }, loadProduct);
+
+    this.checkTotal(totalAmount, saleTotal);
+
+    const tenders = this.resolveTenders(data, saleTotal);
+    const creditAmount = roundCurrency(tenders
+      .filter(tender => tender.method === 'credit')
+      .reduce((sum, tender) => sum + tender.amount, 0));
+
+    // Validate customer for the credit portion
+    if (creditAmount > 0 && !customer.canMakeCreditPurchase(creditAmount)) {
+      throw new Error('Credit limit exceeded');
+    }
+
+    // Product saves are version-checked, so a concurrent sale of the same stock
+    // fails here instead of both selling it
+    const saleItems = [];
+    for (const line of lines) {
+      // Batches are drawn first-expiry-first-out unless the counter picked one
+      const batches = await InventoryService.deduct(line.product, line.baseQuantity, {
+        batchNumber: line.item.batchNumber,
+        type: 'sale',
+        reference: saleId,
+        referenceModel: 'Sale',
+        user: user.id,
+        location,
+        session
+      });
+
+      saleItems.push(this.saleItem(line, batches, interState));
+    }
+
+    // Drawn inside the transaction, so an aborted sale leaves no gap in the sequence
+    const invoiceDate = new Date();
+    const financialYear = getFinancialYear(invoiceDate);
+    const sequence = await Counter.next(`invoice-${financialYear}`, session);
+
+    const [sale] = await Sale.create([{
+      _id: saleId,
+      customer: customer._id,
+      items: saleItems,
+      paymentType: this.paymentTypeFor(tenders),
+      tenders,
+      creditAmount,
+      grossAmount,
+      discounts,
+      discountAmount,
+      roundOff,
+      totalAmount: saleTotal,
+      invoiceNumber: `INV/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      invoiceDate,
+      financialYear,
+      supplyType: interState ? 'inter_state' : 'intra_state',
+      taxSummary: summarizeTax(saleItems),
+      creditDetails: creditAmount > 0 ? this.creditTerms(creditDetails, creditAmount, invoiceDate) : undefined,
+      priceList: priceList?._id,
+      location: location?._id,
+      createdBy: user.id,
+      status: creditAmount > 0 ? 'pending' : 'completed'
+    }], { session });
+
+    await PricingService.logOverrides(sale, 'Sale', saleItems, user, session);
+
+    await this.recordPayments(sale, tenders, invoiceDate, session);
+
+    // The credit limit is checked in the update itself so concurrent sales can't exceed it
+    const update = { $set: { lastPurchaseDate: invoiceDate } };
+    const filter = { _id: customer._id };
+    if (creditAmount > 0) {
+      filter.status = 'active';
+      filter.$expr = { $lte: [{ $add: ['$creditBalance', creditAmount] }, '$creditLimit'] };
+      update.$inc = { creditBalance: creditAmount };
+      update.$push = {
+        paymentHistory: {
+          saleId: sale._id,
+          amount: creditAmount,
+          method: 'credit',
+          date: invoiceDate,
+          status: 'pending'
+        }
+      };
+    }
+
+    const updatedCustomer = await Customer.findOneAndUpdate(filter, update, { new: true, session });
+    if (!updatedCustomer) {
+      throw new Error('Credit limit exceeded');
+    }
+
+    return { sale, customer: updatedCustomer };
+  }
+
+  // One document per product, so lines of the same product deduct from the same stock
+  productLoader(session) {
+    const products = new Map();
+    return async (id) => {
+      if (!products.has(String(id))) {
+        const product = await Product.findById(id).session(session);
+        if (!product) {
+          throw new Error(`Product ${id} not found`);
+        }
+        products.set(String(id), product);
+      }
+      return products.get(String(id));
+    };
+  }
+
+  // Price the requested items and apply running promotions.
+  // Items matching a line in previousItems (on an amendment) keep the price that line was sold at.
+  async priceCart(customer, items, pricing, loadProduct, { previousItems = [], date } = {}) {
+    const lines = [];
+    for (const item of items) {
+      const product = await loadProduct(item.product);
+      const line = this.priceLine(product, item, pricing);
+
+      const previous = item.price === undefined && previousItems.find(old => (
+        old.product.equals(product._id) && old.unit === line.unit.name && !old.promotion
+      ));
+      if (previous) {
+        Object.assign(line, {
+          price: previous.price,
+          listPrice: previous.listPrice,
+          priceSource: previous.priceSource,
+          priceOverride: previous.priceOverride?.reason
+            ? { reason: previous.priceOverride.reason, user: previous.priceOverride.user }
+            : undefined,
+          kept: true
+        });
+      }
+      lines.push(line);
+    }
+
+    // Running promotions apply automatically; free goods become lines of their own
+    const discounts = await PromotionService.apply(
+      customer,
+      lines,
+      async (productId, unitName, quantity, promotion) => {
+        const product = await loadProduct(productId);
+        const line = this.priceLine(product, { quantity, unit: unitName }, { ...pricing, quoted: false });
+        line.promotion = promotion._id;
+        lines.push(line);
+        return line;
+      },
+      date
+    );
+
+    // Totals are always computed here
+    const grossAmount = roundCurrency(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    const discountAmount = roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+    const { total: saleTotal, roundOff } = roundInvoiceTotal(grossAmount - discountAmount);
+
+    return { lines, discounts, grossAmount, discountAmount, saleTotal, roundOff };
+  }
+
+  // A total sent by the client must agree with the computed one
+  checkTotal(totalAmount, saleTotal) {
+    if (totalAmount !== undefined && Math.abs(Number(totalAmount) - saleTotal) >= 0.01) {
+      throw new Error(`Total amount mismatch: expected ${saleTotal}, received ${totalAmount}`);
+    }
+  }
+
+  saleItem(line, batches, interState) {
+    const { product } = line;
+
+    // Prices are GST-inclusive, so tax is carved out of the discounted line amount
+    const lineTotal = roundCurrency(line.price * line.quantity - line.discount);
+    return {
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      quantity: line.quantity,
+      unit: line.unit.name,
+      conversionFactor: line.unit.conversionFactor,
+      baseQuantity: line.baseQuantity,
+      price: line.price,
+      listPrice: line.listPrice,
+      priceSource: line.priceSource,
+      priceOverride: line.priceOverride,
+      discount: line.discount,
+      lineTotal,
+      promotion: line.promotion,
+      batches,
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate || 0,
+      ...calculateLineTax(lineTotal, product.gstRate || 0, interState)
+    };
+  }
+
+  // Everything not on credit is recorded as a payment against the sale
+  async recordPayments(sale, tenders, date, session) {
+    const payments = tenders.filter(tender => tender.method !== 'credit');
+    if (payments.length > 0) {
+      await Payment.create(payments.map(tender => ({
+        _id: tender.payment,
+        sale: sale._id,
+        customer: sale.customer,
+        amount: tender.amount,
+        date,
+        method: tender.method,
+        reference: tender.reference,
+        status: tender.status
+      })), { session, ordered: true });
+    }
+  }
+
+  // Correct the items or payment of a recorded sale. Stock and credit move by the difference
+  // only, and the sale as it stood is kept as a SaleRevision.
+  async amendSale(saleId, data, user) {
+    const reason = data.reason?.trim();
+    if (!reason) {
+      throw new Error('A reason is required to amend a sale');
+    }
+
+    if (!data.items?.length) {
+      throw new Error('Missing required fields');
+    }
+
+    return this.withRetry(session => this.reviseSale(saleId, { ...data, reason }, user, session));
+  }
+
+  async reviseSale(saleId, data, user, session) {
+    const { items, reason, creditDetails, totalAmount } = data;
+
+    const sale = await Sale.findById(saleId).session(session);
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    if (sale.status === 'cancelled') {
+      throw new Error('A void sale cannot be amended');
+    }
+
+    if (sale.voidDetails?.status === 'requested') {
+      throw new Error('Sale has a void request awaiting approval');
+    }
+
+    // Returns were settled against the lines as sold
+    if (sale.returnedAmount > 0 || sale.items.some(item => item.returnedQuantity > 0)) {
+      throw new Error('A sale with returns cannot be amended');
+    }
+
+    const customer = await Customer.findById(sale.customer).session(session);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const priceList = await PricingService.getPriceList(customer);
+    const loadProduct = this.productLoader(session);
+
+    // Lines kept from the sale keep their price; promotions are those running on the invoice date
+    const {
+      lines, discounts, grossAmount, discountAmount, saleTotal, roundOff
+    } = await this.priceCart(customer, items, { user, priceList, quoted: false }, loadProduct, {
+      previousItems: sale.items,
+      date: sale.invoiceDate
+    });
+
+    this.checkTotal(totalAmount, saleTotal);
+
+    const tenders = this.amendedTenders(sale, data, saleTotal);
+    const creditAmount = roundCurrency(tenders
+      .filter(tender => tender.method === 'credit')
+      .reduce((sum, tender) => sum + tender.amount, 0));
+
+    const previousCredit = sale.creditPortion;
+    const creditDelta = roundCurrency(creditAmount - previousCredit);
+    const paidAmount = sale.creditDetails?.paidAmount || 0;
+
+    if (creditAmount < paidAmount) {
+      throw new Error(`Credit of ${creditAmount} is less than the ${paidAmount} already paid against it`);
+    }
+
+    if (!creditAmount && sale.creditDetails?.interestCharged > 0) {
+      throw new Error('Credit that has been charged interest cannot be removed');
+    }
+
+    // Kept before anything on the sale changes
+    const snapshot = sale.toObject({ depopulate: true });
+
+    const saleItems = await this.moveAmendedStock(sale, lines, { user, loadProduct, session });
+
+    // Collected tenders carried over keep their payment; the rest are voided and recorded afresh
+    const previousPayments = sale.tenders.map(tender => tender.payment).filter(Boolean);
+    const carried = tenders.filter(tender => previousPayments.some(id => id.equals(tender.payment)));
+    await Payment.updateMany(
+      {
+        _id: { $in: previousPayments.filter(id => !carried.some(tender => id.equals(tender.payment))) },
+        status: { $in: ['pending', 'completed'] }
+      },
+      { $set: { status: 'voided' } },
+      { session }
+    );
+    for (const tender of carried) {
+      await Payment.updateOne(
+        { _id: tender.payment },
+        { $set: { amount: tender.amount, status: tender.status } },
+        { session }
+      );
+    }
+    await this.recordPayments(sale, tenders.filter(tender => !carried.includes(tender)), sale.invoiceDate, session);
+
+    if (!creditAmount) {
+      sale.creditDetails = undefined;
+    } else if (!previousCredit) {
+      sale.creditDetails = this.creditTerms(creditDetails, creditAmount, sale.invoiceDate);
+    } else {
+      this.rescheduleCredit(sale.creditDetails, creditDelta);
+    }
+
+    sale.set({
+      items: saleItems,
+      paymentType: this.paymentTypeFor(tenders),
+      tenders,
+      creditAmount,
+      grossAmount,
+      discounts,
+      discountAmount,
+      roundOff,
+      totalAmount: saleTotal,
+      taxSummary: summarizeTax(saleItems),
+      priceList: priceList?._id,
+      revision: sale.revision + 1
+    });
+    sale.status = creditAmount > 0 && sale.dueAmount > 0 ? 'pending' : 'completed';
+    await sale.save({ session });
+
+    await SaleRevision.create([{
+      sale: sale._id,
+      revision: snapshot.revision || 1,
+      snapshot,
+      reason,
+      changes: {
+        totalAmount: { from: snapshot.totalAmount, to: saleTotal },
+        creditAmount: { from: previousCredit, to: creditAmount }
+      },
+      amendedBy: user.id
+    }], { session });
+
+    // Prices carried over from the previous revision were logged when first charged
+    await PricingService.logOverrides(sale, 'Sale', saleItems.filter((item, index) => !lines[index].kept), user, session);
+
+    await AuditLog.create([{
+      action: 'sale_amended',
+      entity: sale._id,
+      entityModel: 'Sale',
+      reason,
+      details: {
+        invoiceNumber: sale.invoiceNumber,
+        revision: sale.revision,
+        totalAmount: { from: snapshot.totalAmount, to: saleTotal },
+        creditAmount: { from: previousCredit, to: creditAmount }
+      },
+      user: user.id
+    }], { session });
+
+    // The credit limit is checked in the update itself, as on a new sale
+    if (previousCredit || creditAmount) {
+      const filter = { _id: customer._id };
+      const update = { $inc: { creditBalance: creditDelta } };
+      const options = { session };
+
+      if (creditDelta > 0) {
+        filter.status = 'active';
+        filter.$expr = { $lte: [{ $add: ['$creditBalance', creditDelta] }, '$creditLimit'] };
+      }
+
+      if (!previousCredit) {
+        update.$push = {
+          paymentHistory: {
+            saleId: sale._id,
+            amount: creditAmount,
+            method: 'credit',
+            date: sale.invoiceDate,
+            status: sale.status
+          }
+        };
+      } else {
+        update.$set = creditAmount
+          ? { 'paymentHistory.$[entry].amount': creditAmount, 'paymentHistory.$[entry].status': sale.status }
+          : { 'paymentHistory.$[entry].status': 'cancelled' };
+        options.arrayFilters = [{ 'entry.saleId': sale._id, 'entry.method': 'credit' }];
+      }
+
+      const updated = await Customer.findOneAndUpdate(filter, update, options);
+      if (!updated) {
+        throw new Error('Credit limit exceeded');
+      }
+    }
+
+    return sale;
+  }
+
+  // Tenders for the amended total: as given, or the sale's only tender carried to the new total
+  amendedTenders(sale, { tenders, paymentType }, saleTotal) {
+    if (tenders?.length || paymentType) {
+      return this.resolveTenders({ tenders, paymentType }, saleTotal);
+    }
+
+    if (sale.tenders.length > 1) {
+      throw new Error('Tenders are required to amend a split sale');
+    }
+
+    // Sales recorded before tenders existed are settled by their payment type
+    if (sale.tenders.length === 0) {
+      return this.resolveTenders({ paymentType: sale.paymentType }, saleTotal);
+    }
+
+    // A confirmed UPI payment does not cover an amount added to it
+    const [tender] = sale.tenders;
+    const topUp = saleTotal > tender.amount && PENDING_TENDER_METHODS.includes(tender.method);
+    return [{
+      method: tender.method,
+      amount: saleTotal,
+      reference: tender.reference,
+      transactionId: tender.transactionId,
+      status: topUp ? 'pending' : tender.status,
+      payment: tender.payment
+    }];
+  }
+
+  // Stock the sale holds is reused for the amended lines; only the difference
+  // is drawn from or put back on the shelves
+  async moveAmendedStock(sale, lines, { user, loadProduct, session }) {
+    const location = await InventoryService.resolveLocation(sale.location, session);
+    const context = {
+      type: 'amendment',
+      reference: sale._id,
+      referenceModel: 'Sale',
+      user: user.id,
+      notes: `Amendment of sale ${sale.invoiceNumber || sale._id}`,
+      location,
+      session
+    };
+
+    const held = new Map();
+    for (const item of sale.items) {
+      const key = String(item.product);
+      const stock = held.get(key) || { quantity: 0, batches: [] };
+      stock.quantity = roundQuantity(stock.quantity + sale.heldStock(item._id).quantity);
+      (item.batches || []).forEach(batch => stock.batches.push({
+        batchNumber: batch.batchNumber,
+        quantity: batch.quantity,
+        expiryDate: batch.expiryDate
+      }));
+      held.set(key, stock);
+    }
+
+    const allocations = lines.map(line => ({
+      line,
+      ...takeHeld(held.get(String(line.product._id)) || { quantity: 0, batches: [] }, line.baseQuantity, line.item.batchNumber)
+    }));
+
+    // What is no longer sold goes back first, so it can be drawn again for other lines
+    for (const [productId, stock] of held) {
+      if (stock.quantity <= 0) continue;
+      const batches = stock.batches.filter(batch => batch.quantity > 0);
+      await InventoryService.restore(await loadProduct(productId), stock.quantity, batches, context);
+    }
+
+    const interState = sale.supplyType === 'inter_state';
+    const saleItems = [];
+    for (const { line, batches, shortfall } of allocations) {
+      if (shortfall > 0) {
+        batches.push(...await InventoryService.deduct(line.product, shortfall, {
+          ...context,
+          batchNumber: line.item.batchNumber
+        }));
+      }
+      saleItems.push(this.saleItem(line, batches, interState));
+    }
+
+    return saleItems;
+  }
+
+  // Move a change in credit onto the installments: an increase falls due with the last one,
+  // a decrease comes off the latest unpaid amounts first
+  rescheduleCredit(terms, delta) {
+    if (!terms.installments?.length || delta === 0) return;
+
+    if (delta > 0) {
+      const last = terms.installments[terms.installments.length - 1];
+      last.amount = roundCurrency(last.amount + delta);
+    } else {
+      let reduction = -delta;
+      for (const installment of [...terms.installments].reverse()) {
+        const cut = Math.min(reduction, roundCurrency(installment.amount - installment.paidAmount));
+        installment.amount = roundCurrency(installment.amount - cut);
+        reduction = roundCurrency(reduction - cut);
+      }
+      terms.installments = terms.installments.filter(installment => installment.amount > 0);
+    }
+
+    for (const installment of terms.installments) {
+      if (installment.paidAmount >= installment.amount) {
+        installment.status = 'paid';
+      } else {
+        installment.status = installment.paidAmount > 0 ? 'partially_paid' : 'pending';
+      }
+    }
+
+    terms.dueDate = terms.installments[terms.installments.length - 1].dueDate;
+    terms.plan.count = terms.installments.length;
+  }
+
+  // Staff ask for a completed sale to be voided; an admin approves or rejects it
+  async requestVoid(sale, reason, user) {
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to void a sale');
+    }
+
+    if (sale.status === 'cancelled') {
+      throw new Error('Sale is already void');
+    }
+
+    if (sale.voidDetails?.status === 'requested') {
+      throw new Error('A void request for this sale is already awaiting approval');
+    }
+
+    sale.voidDetails = {
+      status: 'requested',
+      reason: reason.trim(),
+      requestedBy: user.id,
+      requestedAt: new Date()
+    };
+    await sale.save();
+
+    await AuditLog.create({
+      action: 'sale_void_requested',
+      entity: sale._id,
+      entityModel: 'Sale',
+      reason: reason.trim(),
+      details: { invoiceNumber: sale.invoiceNumber, totalAmount: sale.totalAmount },
+      user: user.id
+    });
+
+    return sale;
+  }
+
+  async rejectVoid(sale, notes, user) {
+    if (sale.voidDetails?.status !== 'requested') {
+      throw new Error('There is no void request awaiting approval for this sale');
+    }
+
+    sale.voidDetails.status = 'rejected';
+    sale.voidDetails.reviewedBy = user.id;
+    sale.voidDetails.reviewedAt = new Date();
+    sale.voidDetails.reviewNotes = notes;
+    await sale.save();
+
+    await AuditLog.create({
+      action: 'sale_void_rejected',
+      entity: sale._id,
+      entityModel: 'Sale',
+      reason: notes,
+      details: { invoiceNumber: sale.invoiceNumber, requestReason: sale.voidDetails.reason },
+      user: user.id
+    });
+
+    return sale;
+  }
+
+  // Undo a sale: stock still with the customer goes back, outstanding credit and interest
+  // come off the customer's balance, and payments are voided to be refunded.
+  // The invoice number is kept so the cancelled invoice stays on record.
+  async voidSale(saleId, reason, user) {
+    if (!reason?.trim()) {
+      throw new Error('A reason is required to void a sale');
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sale = await Sale.findById(saleId).session(session);
+      if (!sale) {
+        throw new Error('Sale not found');
+      }
+
+      if (sale.status === 'cancelled') {
+        throw new Error('Sale is already void');
+      }
+
+      // Goods already returned were restocked by the return
+      const location = await InventoryService.resolveLocation(sale.location, session);
+      for (const item of sale.items) {
+        const { quantity, batches } = sale.heldStock(item._id);
+        if (quantity <= 0) continue;
+
+        const product = await Product.findById(item.product).session(session);
+        if (!product) {
+          throw new Error(`Product ${item.product} not found`);
+        }
+
+        await InventoryService.restore(product, quantity, batches, {
+          type: 'void',
+          reference: sale._id,
+          referenceModel: 'Sale',
+          user: user.id,
+          notes: `Void of sale ${sale.invoiceNumber || sale._id}`,
+          location,
+          session
+        });
+      }
+
+      const creditReversed = sale.remainingBalance;
+      const interestWaived = sale.interestBalance;
+      if (interestWaived > 0) {
+        sale.creditDetails.interestWaived = roundCurrency((sale.creditDetails.interestWaived || 0) + interestWaived);
+        await InterestCharge.create([{
+          customer: sale.customer,
+          sale: sale._id,
+          type: 'waiver',
+          amount: interestWaived,
+          reason: `Sale voided: ${reason.trim()}`,
+          createdBy: user.id
+        }], { session });
+      }
+
+      await Customer.updateOne(
+        { _id: sale.customer },
+        {
+          $inc: { creditBalance: -roundCurrency(creditReversed + interestWaived) },
+          $set: { 'paymentHistory.$[entry].status': 'cancelled' }
+        },
+        { arrayFilters: [{ 'entry.saleId': sale._id, 'entry.method': 'credit' }], session }
+      );
+
+      // What the customer paid, less cash already refunded on returns, is due back.
+      // Sales recorded before tenders existed have no payment record for the counter payment.
+      const payments = await Payment.find({ sale: sale._id, status: { $in: ['pending', 'completed'] } }).session(session);
+      const returns = await SaleReturn.find({ sale: sale._id }).session(session);
+      const paid = payments
+        .filter(payment => payment.status === 'completed')
+        .reduce((sum, payment) => sum + payment.amount, 0)
+        + (sale.tenders.length === 0 && sale.paymentType !== 'credit' ? sale.totalAmount : 0);
+      const refunded = returns
+        .filter(saleReturn => saleReturn.refund?.method !== 'credit_adjustment')
+        .reduce((sum, saleReturn) => sum + saleReturn.totalAmount - (saleReturn.refund.creditAdjusted || 0), 0);
+      const refundAmount = Math.max(0, roundCurrency(paid - refunded));
+
+      await Payment.updateMany(
+        { _id: { $in: payments.map(payment => payment._id) } },
+        { $set: { status: 'voided' } },
+        { session }
+      );
+      sale.tenders
+        .filter(tender => tender.status === 'pending')
+        .forEach(tender => { tender.status = 'failed'; });
+
+      const requested = sale.voidDetails?.status === 'requested';
+      sale.status = 'cancelled';
+      sale.voidDetails = {
+        status: 'voided',
+        reason: requested ? sale.voidDetails.reason : reason.trim(),
+        requestedBy: requested ? sale.voidDetails.requestedBy : user.id,
+        requestedAt: requested ? sale.voidDetails.requestedAt : new Date(),
+        reviewedBy: user.id,
+        reviewedAt: new Date(),
+        creditReversed,
+        refundAmount
+      };
+      await sale.save({ session });
+
+      await AuditLog.create([{
+        action: 'sale_voided',
+        entity: sale._id,
+        entityModel: 'Sale',
+        reason: sale.voidDetails.reason,
+        details: {
+          invoiceNumber: sale.invoiceNumber,
+          totalAmount: sale.totalAmount,
+          creditReversed,
+          interestWaived,
+          refundAmount,
+          payments: payments.map(payment => payment._id)
+        },
+        user: user.id
+      }], { session });
+
+      await session.commitTransaction();
+      return sale;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // UPI still to be collected on a sale: its pending UPI tenders, or the whole of
+  // an online sale recorded before tenders existed that has not been paid
+  upiDue(sale) {
+    if (sale.status === 'cancelled') return 0;
+
+    if (sale.tenders.length === 0) {
+      return sale.paymentType === 'online' && sale.paymentDetails?.status !== 'completed' ? sale.totalAmount : 0;
+    }
+
+    return roundCurrency(sale.tenders
+      .filter(tender => tender.method === 'upi' && tender.status === 'pending')
+      .reduce((sum, tender) => sum + tender.amount, 0));
+  }
+
+  // Put a payment reference on the UPI still to be collected and build the UPI link for its QR.
+  // With reuseReference, a reference already handed out (e.g. on a printed receipt) is kept.
+  async requestUpiPayment(sale, { reuseReference = false } = {}) {
+    if (sale.status === 'cancelled') {
+      throw new Error('Sale is void');
+    }
+
+    // Only the UPI portion of a split sale is collected by QR; sales
+    // recorded before tenders existed are collected in full
+    const upiTenders = sale.tenders.filter(tender => tender.method === 'upi' && tender.status === 'pending');
+    if (sale.tenders.length > 0 && upiTenders.length === 0) {
+      throw new Error('No UPI payment pending on this sale');
+    }
+
+    const amount = upiTenders.length > 0
+      ? roundCurrency(upiTenders.reduce((sum, tender) => sum + tender.amount, 0))
+      : sale.totalAmount;
+
+    let reference = reuseReference && sale.paymentDetails?.status === 'pending' && sale.paymentDetails.reference;
+    if (!reference) {
+      reference = `PAY-${sale._id}-${Date.now()}`;
+
+      sale.paymentDetails = {
+        method: 'qr',
+        reference,
+        status: 'pending'
+      };
+      upiTenders.forEach(tender => { tender.reference = reference; });
+      await sale.save();
+      await Payment.updateMany(
+        { _id: { $in: upiTenders.map(tender => tender.payment) } },
+        { $set: { reference } }
+      );
+    }
+
+    return {
+      amount,
+      reference,
+      upiString: buildUpiString({ amount, reference, note: `Payment for sale #${sale._id}` })
+    };
+  }
+
+  // Tenders must settle the sale exactly. A sale without tenders is settled
+  // in full by its payment type, as before split payments existed.
+  resolveTenders({ tenders, paymentType }, saleTotal) {
+    if (!tenders?.length && !LEGACY_TENDER_METHODS[paymentType]) {
+      throw new Error('Invalid payment type');
+    }
+
+    const requested = tenders?.length
+      ? tenders
+      : [{ method: LEGACY_TENDER_METHODS[paymentType], amount: saleTotal }];
+
+    const resolved = requested.map(tender => {
+      if (!TENDER_METHODS.includes(tender.method)) {
+        throw new Error(`Invalid tender method: ${tender.method}`);
+      }
+
+      const amount = roundCurrency(Number(tender.amount));
+      if (!amount || amount <= 0) {
+        throw new Error(`Invalid amount for ${tender.method} tender`);
+      }
+
+      const collected = tender.method !== 'credit';
+      return {
+        method: tender.method,
+        amount,
+        reference: tender.reference,
+        status: PENDING_TENDER_METHODS.includes(tender.method) ? 'pending' : 'completed',
+        payment: collected ? new mongoose.Types.ObjectId() : undefined
+      };
+    });
+
+    const tendered = roundCurrency(resolved.reduce((sum, tender) => sum + tender.amount, 0));
+    if (Math.abs(tendered - saleTotal) >= 0.01) {
+      throw new Error(`Tenders total ${tendered} does not match sale total ${saleTotal}`);
+    }
+
+    return resolved;
+  }
+
+  // Lay the credit portion out over the requested installment plan
+  creditTerms(creditDetails = {}, creditAmount, invoiceDate) {
+    const {
+      plan = {}, dueDate, interestRate, interestMethod, interestPeriod, graceDays
+    } = creditDetails;
+    const installments = buildInstallments(
+      creditAmount,
+      { ...plan, dueDate: plan.dueDate || dueDate },
+      invoiceDate
+    );
+
+    return {
+      interestRate,
+      interestMethod,
+      interestPeriod,
+      graceDays,
+      dueDate: installments.length > 0 ? installments[installments.length - 1].dueDate : dueDate,
+      plan: {
+        type: plan.type || 'single',
+        season: plan.season,
+        count: installments.length || undefined,
+        intervalDays: plan.intervalDays
+      },
+      installments
+    };
+  }
+
+  paymentTypeFor(tenders) {
+    const methods = new Set(tenders.map(tender => tender.method));
+    if (methods.size > 1) return 'split';
+    if (methods.has('credit')) return 'credit';
+    return methods.has('cash') ? 'cash' : 'online';
+  }
+
+  // Resolve unit, quantity and price of a requested item.
+  // Prices are resolved here; a different price from the counter is an override.
+  priceLine(product, item, { user, priceList, quoted }) {
+    const quantity = Number(item.quantity);
+    if (!quantity || quantity < MIN_QUANTITY) {
+      throw new Error(`Invalid quantity for product ${product.name}`);
+    }
+
+    // Items may be sold by any of the product's units; stock is kept in the base unit
+    const unit = product.findUnit(item.unit);
+    const resolved = PricingService.resolvePrice(product, unit, quantity, priceList);
+    const override = quoted ? null : PricingService.checkOverride(user, product, item, resolved);
+
+    let priceSource = resolved.source;
+    if (quoted) priceSource = 'quotation';
+    if (override) priceSource = 'override';
+
+    return {
+      product,
+      item,
+      quantity,
+      unit,
+      baseQuantity: roundQuantity(quantity * unit.conversionFactor),
+      price: quoted ? roundCurrency(Number(item.price)) : (override?.price ?? resolved.price),
+      listPrice: resolved.price,
+      priceSource,
+      priceOverride: override ? { reason: override.reason, user: user.id } : undefined,
+      discount: 0
+    };
+  }
+}
+
+export default new SaleService();
@@ -0,0 +1,25 @@
+export const BARCODE_TYPES = ['code128', 'ean13'];
+
+// GS1 prefix 20 is set aside for numbers a shop assigns to its own goods
+export const IN_STORE_EAN_PREFIX = '20';
+
+// Check digit of the first 12 digits of an EAN-13; digits in even positions weigh 3
+export const ean13CheckDigit = (digits) => {
+  const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+export const isValidEan13 = (code) => /^\d{13}$/.test(code)
+  && ean13CheckDigit(code.slice(0, 12)) === Number(code[12]);
+
+// Code 128 encodes printable ASCII
+export const isValidCode128 = (code) => /^[\x20-\x7e]{1,48}$/.test(code);
+
+// In-store EAN-13 for a sequence number, e.g. 7 -> 2000000000077
+export const inStoreEan13 = (sequence) => {
+  const digits = `${IN_STORE_EAN_PREFIX}${String(sequence).padStart(10, '0')}`;
+  if (digits.length !== 12) {
+    throw new Error('In-store barcode numbers are exhausted');
+  }
+  return `${digits}${ean13CheckDigit(digits)}`;
+};
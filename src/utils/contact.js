@@ -0,0 +1,44 @@
+export const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Honorifics left out when comparing names, e.g. "Shri Ramesh Patil" or "श्री रमेश पाटील"
+const HONORIFICS = ['shri', 'sri', 'shree', 'smt', 'kum', 'mr', 'mrs', 'ms', 'dr', 'श्री', 'श्रीमती', 'कु'];
+
+// Ten-digit Indian mobile number from how it is usually written, e.g. "+91 98765-43210"
+// or "098765 43210"; null when it isn't one
+export const normalizePhone = (phone) => {
+  const digits = String(phone ?? '').replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+  return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+};
+
+// Lowercase name words in sorted order, so "Patil Ramesh" and "ramesh patil." compare equal.
+// Letters of any script are kept, with their vowel signs (\p{M}), so Indian-script names compare too.
+export const normalizeName = (name) => String(name ?? '')
+  .normalize('NFC')
+  .toLocaleLowerCase('en-IN')
+  .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(word => word && !HONORIFICS.includes(word))
+  .sort()
+  .join(' ');
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Similarity of two normalized names from 0 (nothing alike) to 1 (the same)
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
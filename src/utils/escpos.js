@@ -0,0 +1,75 @@
+// Builds the byte stream an ESC/POS thermal printer understands
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// QR error correction levels L, M, Q and H
+const QR_ERROR_CORRECTION = { L: 48, M: 49, Q: 50, H: 51 };
+
+// Printers are driven in their default code page, so text is reduced to ASCII
+export const toAscii = (text) => String(text)
+  .replace(/₹/g, 'Rs.')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e\n]/g, '?');
+
+export class EscPosBuilder {
+  constructor() {
+    this.chunks = [];
+    this.raw(ESC, 0x40);
+  }
+
+  raw(...bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  text(value) {
+    this.chunks.push(Buffer.from(toAscii(value), 'ascii'));
+    return this;
+  }
+
+  line(value = '') {
+    return this.text(`${value}\n`);
+  }
+
+  align(alignment) {
+    return this.raw(ESC, 0x61, ALIGNMENTS[alignment] ?? 0);
+  }
+
+  bold(on) {
+    return this.raw(ESC, 0x45, on ? 1 : 0);
+  }
+
+  // Double width and height
+  large(on) {
+    return this.raw(GS, 0x21, on ? 0x11 : 0);
+  }
+
+  feed(lines = 1) {
+    return this.raw(ESC, 0x64, lines);
+  }
+
+  // Print a QR code of the data; size is the module size in dots (1-16)
+  qr(data, { size = 6, errorCorrection = 'M' } = {}) {
+    const payload = Buffer.from(toAscii(data), 'ascii');
+    const length = payload.length + 3;
+
+    this.raw(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0);
+    this.raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, size);
+    this.raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, QR_ERROR_CORRECTION[errorCorrection]);
+    this.raw(GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30);
+    this.chunks.push(payload);
+    return this.raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);
+  }
+
+  // Feed past the tear bar and cut, leaving a hinge
+  cut() {
+    return this.raw(GS, 0x56, 0x42, 0);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
@@ -0,0 +1,60 @@
+// GST slabs applicable to the goods we stock
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+// Round a currency value to paise
+export const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Round an invoice total to the nearest rupee, keeping the round-off
+export const roundInvoiceTotal = (amount) => {
+  const total = Math.round(roundCurrency(amount));
+  return { total, roundOff: roundCurrency(total - amount) };
+};
+
+// India Standard Time is UTC+05:30 all year round
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Indian financial year (April to March) for a date, e.g. "2026-27". The year turns
+// at midnight on 1 April in India, whatever time zone the server runs in.
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String(year + 1).slice(-2)}`;
+};
+
+// Supply is inter-state when the customer's state differs from ours
+export const isInterStateSupply = (customerState) => {
+  const businessState = process.env.BUSINESS_STATE;
+  if (!customerState || !businessState) return false;
+  return customerState.trim().toLowerCase() !== businessState.trim().toLowerCase();
+};
+
+// Split a GST-inclusive line amount into taxable value and CGST/SGST or IGST
+export const calculateLineTax = (amount, gstRate = 0, interState = false) => {
+  const taxableValue = roundCurrency(amount / (1 + gstRate / 100));
+  const totalTax = roundCurrency(amount - taxableValue);
+
+  if (interState) {
+    return { taxableValue, cgst: 0, sgst: 0, igst: totalTax, totalTax };
+  }
+
+  const cgst = roundCurrency(totalTax / 2);
+  return { taxableValue, cgst, sgst: roundCurrency(totalTax - cgst), igst: 0, totalTax };
+};
+
+// Sum the tax breakdown of sale lines
+export const summarizeTax = (items) => {
+  const summary = items.reduce((totals, item) => ({
+    taxableValue: totals.taxableValue + (item.taxableValue || 0),
+    cgst: totals.cgst + (item.cgst || 0),
+    sgst: totals.sgst + (item.sgst || 0),
+    igst: totals.igst + (item.igst || 0)
+  }), { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 });
+
+  return {
+    taxableValue: roundCurrency(summary.taxableValue),
+    cgst: roundCurrency(summary.cgst),
+    sgst: roundCurrency(summary.sgst),
+    igst: roundCurrency(summary.igst),
+    totalTax: roundCurrency(summary.cgst + summary.sgst + summary.igst)
+  };
+};
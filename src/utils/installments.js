@@ -0,0 +1,106 @@
+import { roundCurrency } from './gst.js';
+
+export const INSTALLMENT_PLAN_TYPES = ['single', 'equal', 'custom', 'harvest'];
+
+// When each crop season's harvest is usually sold (month is 0-based)
+export const HARVEST_SEASONS = {
+  kharif: { month: 10, day: 15, label: 'Kharif harvest' },
+  rabi: { month: 3, day: 30, label: 'Rabi harvest' },
+  zaid: { month: 5, day: 30, label: 'Zaid harvest' }
+};
+
+const DEFAULT_INTERVAL_DAYS = 30;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// The first harvest of the season falling after the given date
+export const nextHarvestDate = (season, from = new Date()) => {
+  const harvest = HARVEST_SEASONS[season];
+  if (!harvest) {
+    throw new Error(`Invalid harvest season: ${season}`);
+  }
+
+  const date = new Date(from.getFullYear(), harvest.month, harvest.day);
+  if (date <= from) {
+    date.setFullYear(date.getFullYear() + 1);
+  }
+  return date;
+};
+
+// Split an amount into whole-rupee parts; the last part takes the remainder
+const splitEqually = (amount, count) => {
+  const part = Math.floor(amount / count);
+  return Array.from({ length: count }, (_, index) => (
+    index === count - 1 ? roundCurrency(amount - part * (count - 1)) : part
+  ));
+};
+
+const spacedDueDates = (firstDueDate, count, intervalDays) => (
+  Array.from({ length: count }, (_, index) => addDays(firstDueDate, index * intervalDays))
+);
+
+// Build the repayment schedule of a credit amount from a plan:
+//   single  - { dueDate }
+//   equal   - { count, firstDueDate, intervalDays }
+//   custom  - { installments: [{ dueDate, amount }] }, adding up to the amount
+//   harvest - { season, count, intervalDays }, the first falling due at the next harvest
+export const buildInstallments = (amount, plan = {}, from = new Date()) => {
+  const type = plan.type || 'single';
+  if (!INSTALLMENT_PLAN_TYPES.includes(type)) {
+    throw new Error(`Invalid installment plan: ${type}`);
+  }
+
+  const count = parseInt(plan.count) || 1;
+  const intervalDays = parseInt(plan.intervalDays) || DEFAULT_INTERVAL_DAYS;
+  if (count < 1 || intervalDays < 1) {
+    throw new Error('Installment count and interval must be positive');
+  }
+
+  let schedule;
+  switch (type) {
+    case 'single':
+      // Without a due date the credit is open-ended and has no schedule
+      schedule = plan.dueDate ? [{ dueDate: new Date(plan.dueDate), amount }] : [];
+      break;
+    case 'equal': {
+      const firstDueDate = plan.firstDueDate ? new Date(plan.firstDueDate) : addDays(from, intervalDays);
+      const amounts = splitEqually(amount, count);
+      schedule = spacedDueDates(firstDueDate, count, intervalDays)
+        .map((dueDate, index) => ({ dueDate, amount: amounts[index] }));
+      break;
+    }
+    case 'custom':
+      if (!plan.installments?.length) {
+        throw new Error('Custom installment plan needs at least one installment');
+      }
+      schedule = plan.installments.map(installment => ({
+        dueDate: new Date(installment.dueDate),
+        amount: roundCurrency(Number(installment.amount))
+      }));
+      break;
+    case 'harvest': {
+      const amounts = splitEqually(amount, count);
+      const { label } = HARVEST_SEASONS[plan.season] || {};
+      schedule = spacedDueDates(nextHarvestDate(plan.season, from), count, intervalDays)
+        .map((dueDate, index) => ({ dueDate, amount: amounts[index], label }));
+      break;
+    }
+  }
+
+  if (schedule.some(installment => Number.isNaN(installment.dueDate.getTime()) || !(installment.amount > 0))) {
+    throw new Error('Each installment needs a valid due date and amount');
+  }
+
+  const scheduled = roundCurrency(schedule.reduce((sum, installment) => sum + installment.amount, 0));
+  if (schedule.length > 0 && Math.abs(scheduled - amount) >= 0.01) {
+    throw new Error(`Installments total ${scheduled} does not match credit amount ${amount}`);
+  }
+
+  return schedule
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .map((installment, index) => ({ number: index + 1, ...installment }));
+};
@@ -0,0 +1,47 @@
+import { roundCurrency } from './gst.js';
+
+export const INTEREST_METHODS = ['simple', 'compound'];
+
+export const INTEREST_PERIODS = ['monthly', 'daily'];
+
+// Rates are quoted per annum and charged per period
+const PERIODS_PER_YEAR = {
+  monthly: 12,
+  daily: 365
+};
+
+export const addPeriods = (date, period, count) => {
+  const result = new Date(date);
+  if (period === 'monthly') {
+    result.setMonth(result.getMonth() + count);
+  } else {
+    result.setDate(result.getDate() + count);
+  }
+  return result;
+};
+
+// Whole periods between two dates; part periods accrue on a later run
+export const elapsedPeriods = (from, to, period) => {
+  if (to <= from) return 0;
+  if (period === 'daily') {
+    return Math.floor((to - from) / (1000 * 60 * 60 * 24));
+  }
+
+  let count = 0;
+  while (addPeriods(from, period, count + 1) <= to) {
+    count += 1;
+  }
+  return count;
+};
+
+// Interest on a principal for a number of periods at an annual percentage rate
+export const calculateInterest = (principal, annualRate, { method = 'simple', period = 'monthly', periods }) => {
+  if (!principal || !annualRate || !periods) return 0;
+
+  const rate = annualRate / 100 / PERIODS_PER_YEAR[period];
+  const interest = method === 'compound'
+    ? principal * ((1 + rate) ** periods - 1)
+    : principal * rate * periods;
+
+  return roundCurrency(interest);
+};
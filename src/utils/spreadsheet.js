@@ -0,0 +1,76 @@
+import ExcelJS from 'exceljs';
+import csv from 'csv-parser';
+import { Readable } from 'stream';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Format of an uploaded file, from its name or MIME type
+export const spreadsheetFormat = (file) => {
+  if (/\.xlsx$/i.test(file.originalname) || file.mimetype === XLSX_MIME_TYPE) return 'xlsx';
+  if (/\.csv$/i.test(file.originalname) || /csv|text\/plain/.test(file.mimetype)) return 'csv';
+  throw new Error('Only CSV and XLSX files can be imported');
+};
+
+const cleanHeader = (header) => String(header ?? '').replace(/^\uFEFF/, '').trim();
+
+// Plain value of an Excel cell: formulas give their result, rich text and links their text
+const cellValue = (value) => {
+  if (value === null || value === undefined || value instanceof Date || typeof value !== 'object') {
+    return value ?? undefined;
+  }
+  if ('result' in value) return cellValue(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return value.text;
+  return undefined;
+};
+
+const readCsv = (buffer) => new Promise((resolve, reject) => {
+  let headers = [];
+  const rows = [];
+
+  Readable.from(buffer.toString())
+    .pipe(csv({ mapHeaders: ({ header }) => cleanHeader(header) }))
+    .on('headers', (parsed) => { headers = parsed; })
+    .on('data', (values) => rows.push(values))
+    .on('end', () => resolve({ headers, rows }))
+    .on('error', reject);
+});
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const [worksheet] = workbook.worksheets;
+  if (!worksheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => { headers[column] = cleanHeader(cellValue(cell.value)); });
+
+  const rows = [];
+  for (let number = 2; number <= worksheet.rowCount; number += 1) {
+    const values = {};
+    worksheet.getRow(number).eachCell((cell, column) => {
+      if (headers[column]) values[headers[column]] = cellValue(cell.value);
+    });
+    rows.push(values);
+  }
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+// Read an uploaded CSV or XLSX (its first sheet) as rows keyed by header.
+// Each row carries its number in the file, counting the header as row 1; blank rows are left out.
+export const readSpreadsheet = async (file) => {
+  const format = spreadsheetFormat(file);
+  const { headers, rows } = format === 'xlsx' ? await readXlsx(file.buffer) : await readCsv(file.buffer);
+
+  return {
+    format,
+    headers,
+    rows: rows
+      .map((values, index) => ({ row: index + 2, values }))
+      .filter(({ values }) => Object.values(values).some(value => value !== undefined && String(value).trim() !== ''))
+  };
+};
@@ -0,0 +1,8 @@
+// Units goods are stocked and sold in
+export const UNITS = ['piece', 'kg', 'g', 'quintal', 'litre', 'ml', 'bag', 'packet', 'bottle', 'box', 'can'];
+
+// Quantities are kept to three decimals, i.e. down to a gram or millilitre of a kg or litre
+export const MIN_QUANTITY = 0.001;
+
+// Round a quantity to the precision we store
+export const roundQuantity = (value) => Math.round((value + Number.EPSILON) * 1000) / 1000;
@@ -0,0 +1,17 @@
+// UPI ID and name payments are made out to
+export const upiPayee = () => ({
+  upiId: process.env.UPI_ID || '9876543210@ybl',
+  merchantName: process.env.MERCHANT_NAME || 'AgroFlow'
+});
+
+// UPI payment link that payment apps open when the QR is scanned
+export const buildUpiString = ({ amount, reference, note }) => {
+  const { upiId, merchantName } = upiPayee();
+
+  return `upi://pay?pa=${encodeURIComponent(upiId)}`
+    + `&pn=${encodeURIComponent(merchantName)}`
+    + `&am=${Number(amount).toFixed(2)}`
+    + `&tr=${encodeURIComponent(reference)}`
+    + `&tn=${encodeURIComponent(note)}`
+    + '&cu=INR';
+};